@@ -21,7 +21,34 @@ const categoryColor = d3
   .domain(['Cultural', 'Natural', 'Mixed', 'Other'])
   .range(['#f59e0b', '#10b981', '#a855f7', '#38bdf8']);
 
-const dangerColors = { Y: '#fb923c', R: '#38bdf8' };
+const dangerColors = { Y: '#fb923c', R: '#38bdf8', listed: '#f87171' };
+const compareColor = d3.scaleOrdinal().domain(['A', 'B', 'both']).range(['#38bdf8', '#f472b6', '#facc15']);
+const compareLabels = { A: 'Set A only', B: 'Set B only', both: 'In both sets' };
+// Levels the sunburst can be built from; `values` lists every node a site belongs to at that level.
+const hierarchyLevels = {
+  region: { label: 'Region', values: (site) => [site.region], format: (value) => regionLabel(value) },
+  country: { label: 'Country', values: (site) => site.countries, format: (value) => value },
+  category: { label: 'Category', values: (site) => [site.category], format: (value) => categoryLabels[value] ?? value },
+  decade: {
+    label: 'Inscription decade',
+    values: (site) => [`${Math.floor(site.year / 10) * 10}s`],
+    format: (value) => t('sunburst.decade', { decade: parseInt(value, 10) })
+  },
+  criterion: { label: 'Criterion', values: (site) => site.criteria, format: (value) => t('criteria.criterion', { code: value }) },
+  inDanger: {
+    label: 'Danger status',
+    values: (site) => [isInDanger(site) ? 'In Danger' : 'Not in danger'],
+    format: (value) => (value === 'In Danger' ? t('danger.inDanger') : t('danger.notInDanger'))
+  }
+};
+const DEFAULT_SUNBURST_LEVELS = ['region', 'country', 'category'];
+const SUNBURST_VISIBLE_RINGS = 3;
+const sunburstPalette = d3.scaleOrdinal(d3.schemeTableau10);
+
+const dangerEventLabels = {
+  Y: 'Inscribed on the List of World Heritage in Danger',
+  R: 'Removed from the List of World Heritage in Danger'
+};
 const categoryLabels = {
   Cultural: 'Cultural',
   Natural: 'Natural',
@@ -29,59 +56,484 @@ const categoryLabels = {
   Other: 'Other / Unspecified'
 };
 
+// ISO 3166-1 alpha-2 → numeric, restricted to the countries present in world-atlas countries-110m.
+const isoNumericByAlpha2 = {
+  ae: '784', af: '004', al: '008', am: '051', ao: '024', aq: '010', ar: '032', at: '040', au: '036', az: '031',
+  ba: '070', bd: '050', be: '056', bf: '854', bg: '100', bi: '108', bj: '204', bn: '096', bo: '068', br: '076',
+  bs: '044', bt: '064', bw: '072', by: '112', bz: '084', ca: '124', cd: '180', cf: '140', cg: '178', ch: '756',
+  ci: '384', cl: '152', cm: '120', cn: '156', co: '170', cr: '188', cu: '192', cy: '196', cz: '203', de: '276',
+  dj: '262', dk: '208', do: '214', dz: '012', ec: '218', ee: '233', eg: '818', eh: '732', er: '232', es: '724',
+  et: '231', fi: '246', fj: '242', fk: '238', fr: '250', ga: '266', gb: '826', ge: '268', gh: '288', gl: '304',
+  gm: '270', gn: '324', gq: '226', gr: '300', gt: '320', gw: '624', gy: '328', hn: '340', hr: '191', ht: '332',
+  hu: '348', id: '360', ie: '372', il: '376', in: '356', iq: '368', ir: '364', is: '352', it: '380', jm: '388',
+  jo: '400', jp: '392', ke: '404', kg: '417', kh: '116', kp: '408', kr: '410', kw: '414', kz: '398', la: '418',
+  lb: '422', lk: '144', lr: '430', ls: '426', lt: '440', lu: '442', lv: '428', ly: '434', ma: '504', md: '498',
+  me: '499', mg: '450', mk: '807', ml: '466', mm: '104', mn: '496', mr: '478', mw: '454', mx: '484', my: '458',
+  mz: '508', na: '516', nc: '540', ne: '562', ng: '566', ni: '558', nl: '528', no: '578', np: '524', nz: '554',
+  om: '512', pa: '591', pe: '604', pg: '598', ph: '608', pk: '586', pl: '616', pr: '630', ps: '275', pt: '620',
+  py: '600', qa: '634', ro: '642', rs: '688', ru: '643', rw: '646', sa: '682', sb: '090', sd: '729', se: '752',
+  si: '705', sk: '703', sl: '694', sn: '686', so: '706', sr: '740', ss: '728', sv: '222', sy: '760', sz: '748',
+  td: '148', tf: '260', tg: '768', th: '764', tj: '762', tl: '626', tm: '795', tn: '788', tr: '792', tt: '780',
+  tw: '158', tz: '834', ua: '804', ug: '800', us: '840', uy: '858', uz: '860', ve: '862', vn: '704', vu: '548',
+  ye: '887', za: '710', zm: '894', zw: '716'
+};
+
+const EARTH_RADIUS_KM = 6371;
+const COUNTRY_BASE_FILL = 'rgba(15, 23, 42, 0.8)';
+
+const choroplethMetrics = {
+  count: {
+    label: 'Sites',
+    value: (stats) => stats.total,
+    format: (value) => d3.format(',d')(value),
+    interpolator: d3.interpolateYlOrRd
+  },
+  density: {
+    label: 'Sites per 100,000 km²',
+    value: (stats) => (stats.areaKm2 ? (stats.total / stats.areaKm2) * 1e5 : 0),
+    format: (value) => d3.format('.2~f')(value),
+    interpolator: d3.interpolateYlGnBu
+  },
+  dangerShare: {
+    label: 'Share of sites In Danger',
+    value: (stats) => stats.danger / stats.total,
+    format: (value) => d3.format('.0%')(value),
+    interpolator: d3.interpolateOrRd
+  },
+  dominant: {
+    label: 'Dominant category',
+    value: (stats) => dominantCategory(stats)
+  }
+};
+// Panels of the small-multiples map; `zoom` panels fit their projection to the sites in the panel.
+const mapFacets = {
+  decade: {
+    keys: () => d3.range(Math.floor(yearExtent[0] / 10) * 10, yearExtent[1] + 1, 10),
+    value: (site) => Math.floor(site.year / 10) * 10,
+    format: (key) => t('sunburst.decade', { decade: key })
+  },
+  category: {
+    keys: () => categoryColor.domain(),
+    value: (site) => site.category,
+    format: (key) => categoryLabels[key] ?? key
+  },
+  region: {
+    keys: () => regionColor.domain(),
+    value: (site) => site.region,
+    format: (key) => regionLabel(key),
+    zoom: true
+  }
+};
+
 const state = {
   year: null,
   viewMode: 'category',
   selectedStandards: new Set(),
+  excludedStandards: new Set(),
   standardMode: 'OR',
   searchTerm: '',
   dangerOnly: false,
+  yearRange: null,
+  regions: new Set(),
+  categories: new Set(),
+  transboundaryOnly: false,
   showDangerEvents: true,
   brushRange: null,
   playing: false,
-  sunburstSelection: null
+  playSpeed: 1,
+  playLoop: true,
+  sunburstSelection: null,
+  sunburstLevels: DEFAULT_SUNBURST_LEVELS,
+  pinnedSiteId: null,
+  profileCountry: null,
+  mapClustering: true,
+  mapMode: 'points',
+  choroplethMetric: 'count',
+  mapFacet: 'decade',
+  timelineMode: 'annual',
+  timelineScale: 'linear',
+  dangerSort: 'first',
+  dangerStatusMode: 'historical',
+  compareMode: false,
+  activeSet: 'A',
+  compareSets: { A: null, B: null }
 };
 
 let sites = [];
+let siteById = new Map();
 let worldGeo;
-let playTimer;
+let playFrame;
+let playElapsed = 0;
+let lastPlayTick = null;
+let pulseFrame;
+let mapPulses = [];
+let mapPulseLayer;
+let mapTransboundaryLayer;
+let featureAnchors = new Map();
+let siteLinkCache = new WeakMap();
+let timelinePlayhead;
 let yearExtent = [1978, 2024];
 let regionColor;
 let mapProjection;
 let mapPath;
 let mapSiteLayer;
 let mapSiteSelection;
+let mapMultiplesSelection;
+let mapPinLayer;
+let mapBaseLayer;
+let mapClusterLayer;
+let mapClusterSelection;
+let mapZoom;
+let mapSize = { width: 900, height: 400 };
+let mapData = [];
+let mapCountrySelection;
+let featureCountryMeta = new Map();
+let countryStats = new Map();
+let choroplethScale;
+let dangerLaneScale;
+let dangerLaneAxis;
+let dangerLaneGroup;
+let dangerLaneSelection;
+let dangerBrushBand;
+let dangerYearRule;
+let criteriaMatrixScale;
+let criteriaCellSelection;
+let criteriaTrendScales = {};
+let criteriaTrendPanels;
+let criteriaFocusKey = null;
 let timelineScales = {};
 let timelineBars;
+let timelineAreas;
 let timelineAxisX;
 let timelineAxisY;
 let timelineBrush;
 let timelineBrushGroup;
 let timelineBarSelection;
+let timelineCompareLabels;
+let timelineYearTargets;
+let timelineYearLabels = new Map();
+let mapFocusKey = null;
+let sunburstFocusKey = null;
+let laneFocusId = null;
+let networkFocusCountry = null;
+let networkGroupSelection;
+let announceTimer;
+let lastAnnouncement = '';
 let dangerPaths = {};
 let sunburstArcSelection;
 let currentFiltered = [];
+let compareResults = null;
+let compareMembership = new Map();
+let restoringUrlState = false;
+let dashboardReady = false;
+let lastDataReport = null;
+let pendingImport = null;
+let lastHistoryWrite = 0;
+let searchIndex = [];
+let searchScoreCache = new Map();
+let searchOptions = [];
+let countryProfileSort = { key: 'year', direction: 1 };
+let searchActiveIndex = -1;
+let savedViews = [];
+let story = null;
+let storyIndex = 0;
+let storyDraft = { title: '', steps: [] };
+let storyYearTimer;
+let uiLanguage = 'en';
+let uiLocale = 'en';
+let translations = {};
+let localeCache = new Map();
+let languages = { en: 'English' };
+
+const SITES_URL = 'whc001.json';
+// Bundled copy of world-atlas@2, so the map draws without a network connection.
+const WORLD_ATLAS_URL = 'countries-110m.json';
+const HISTORY_COALESCE_MS = 600;
+const PLAY_YEAR_MS = 800;
+const MAP_PULSE_MS = 1200;
+const MAP_PULSE_LIMIT = 80;
+const MAP_POINT_RADIUS = 4;
+const MAP_CLUSTER_CELL = 24;
+const MAP_MAX_ZOOM = 24;
+const MAP_MULTIPLES_MIN_WIDTH = 240;
+const MAP_MULTIPLES_TITLE = 18;
+const MAP_MULTIPLES_RADIUS = 2.2;
+const COUNTRY_PROFILE_CHART = { width: 360, height: 90, margin: { top: 6, right: 4, bottom: 18, left: 24 } };
+const NETWORK_LABEL_SPACE = 80;
+const NETWORK_LABEL_LENGTH = 18;
+const TIMELINE_MARGIN = { top: 20, right: 30, bottom: 30, left: 50 };
+const DANGER_LANE_HEIGHT = 16;
+const CRITERIA_MATRIX_MARGIN = { top: 26, right: 8, bottom: 8, left: 34 };
+const CRITERIA_TREND_COLUMNS = 2;
+const DANGER_LANE_MARGIN = { top: 24, right: 20, bottom: 8, left: 170 };
+const ANNOUNCE_DELAY_MS = 800;
+const SEARCH_FIELD_WEIGHTS = { name: 3, countries: 2.5, region: 1.5, description: 1 };
+const SEARCH_FIELD_ALIASES = {
+  name: 'name',
+  country: 'country',
+  countries: 'country',
+  region: 'region',
+  category: 'category',
+  criteria: 'criteria',
+  criterion: 'criteria',
+  year: 'year'
+};
+const SEARCH_RESULT_LIMITS = { site: 8, country: 5, region: 3 };
+const SAVED_VIEWS_KEY = 'whc-explorer:saved-views';
+const SAVED_VIEW_THUMB_WIDTH = 200;
+const STORY_URL = 'story.json';
+const STORY_YEAR_FRAMES = 12;
+const STORY_FRAME_MS = 70;
+// Computed styles copied onto exported SVGs, so they look the same outside the page's stylesheet.
+const EXPORT_STYLE_PROPERTIES = [
+  'fill',
+  'fill-opacity',
+  'stroke',
+  'stroke-width',
+  'stroke-opacity',
+  'stroke-dasharray',
+  'stroke-linejoin',
+  'stroke-linecap',
+  'opacity',
+  'font-size',
+  'font-weight',
+  'text-anchor',
+  'display',
+  'visibility',
+  'vector-effect'
+];
+const LANGUAGE_KEY = 'whc-explorer:language';
+const LOCALES_DIR = 'locales';
+const MOBILE_LAYOUT = window.matchMedia('(max-width: 768px)');
+const TOUCH_POINTER = window.matchMedia('(pointer: coarse)');
+const ARROW_VECTORS = {
+  ArrowRight: [1, 0],
+  ArrowLeft: [-1, 0],
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1]
+};
 
 const tooltip = d3.select('#tooltip');
 const summaryCounts = d3.select('#summary-counts');
 const breadcrumb = d3.select('#sunburst-breadcrumb');
+const siteDetail = d3.select('#siteDetail');
+const countryProfile = d3.select('#countryProfile');
+const dataPanel = d3.select('#dataPanel');
+
+// Column aliases tried, in order, when guessing how a CSV maps onto the UNESCO record shape.
+const csvFieldAliases = {
+  name_en: ['name_en', 'name', 'site', 'site name'],
+  date_inscribed: ['date_inscribed', 'year', 'inscribed', 'date inscribed', 'inscription year'],
+  category: ['category', 'category_short', 'type'],
+  criteria_txt: ['criteria_txt', 'criteria'],
+  states_names: ['states_names', 'states', 'countries', 'country', 'states_name_en'],
+  iso_codes: ['iso_codes', 'iso', 'iso_code'],
+  region: ['region', 'region_en'],
+  latitude: ['latitude', 'lat'],
+  longitude: ['longitude', 'lon', 'lng', 'long'],
+  coordinates: ['coordinates', 'geo_point_2d', 'geo point'],
+  danger: ['danger', 'in_danger_today', 'in danger'],
+  danger_list: ['danger_list', 'danger_events'],
+  short_description_en: ['short_description_en', 'description'],
+  id_no: ['id_no', 'unique_number'],
+  uuid: ['uuid', 'id']
+};
+
+setupDataImport();
 
 Promise.all([
-  d3.json('whc001.json'),
-  d3.json('https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json')
+  // Reported from init(), once the translations are in.
+  d3.json(SITES_URL).catch((error) => {
+    console.error('Failed to load site data', error);
+    return error;
+  }),
+  d3.json(WORLD_ATLAS_URL),
+  loadLanguageList()
+    .then(() => loadLanguage(initialLanguage()))
+    .then(applyLanguage)
 ])
   .then(init)
   .catch((error) => {
     console.error('Failed to load data', error);
-    summaryCounts.text('Unable to load data. Please check your network connection.');
+    summaryCounts.text(t('status.mapFailed'));
   });
 
 function init([rawSites, worldData]) {
   worldGeo = topojson.feature(worldData, worldData.objects.countries);
-  sites = rawSites
-    .map((d) => formatSite(d))
-    .filter((d) => d && Number.isFinite(d.lat) && Number.isFinite(d.lon) && Number.isFinite(d.year))
-    .sort((a, b) => d3.ascending(a.year, b.year));
+  // A file dropped while the atlas was loading replaces the default data.
+  if (pendingImport) {
+    const [records, source] = pendingImport;
+    pendingImport = null;
+    loadSiteRecords(records, source);
+  } else if (rawSites instanceof Error) {
+    showDataPanel({ source: SITES_URL, error: t('data.loadFailed', { source: SITES_URL, message: rawSites.message }) });
+  } else if (rawSites) {
+    loadSiteRecords(rawSites, SITES_URL);
+  }
+}
+
+// `locales/index.json` maps each language code to its name in the picker; see the README for adding a language.
+function loadLanguageList() {
+  return d3
+    .json(`${LOCALES_DIR}/index.json`)
+    .then((list) => {
+      languages = { ...languages, ...list };
+    })
+    .catch((error) => console.warn('Could not load the list of languages', error))
+    .then(setupLanguageControl);
+}
+
+function setupLanguageControl() {
+  d3.select('#languageSelect')
+    .selectAll('option')
+    .data(Object.entries(languages))
+    .join('option')
+    .attr('value', ([code]) => code)
+    .text(([, name]) => name);
+  d3.select('#languageSelect').on('change', (event) => setLanguage(event.target.value));
+}
+
+function initialLanguage() {
+  let stored = null;
+  try {
+    stored = window.localStorage.getItem(LANGUAGE_KEY);
+  } catch (error) {
+    console.warn('Language preference unavailable', error);
+  }
+  const browser = (navigator.language || 'en').slice(0, 2).toLowerCase();
+  return [stored, browser].find((code) => languages[code]) ?? 'en';
+}
+
+// Missing keys in a translation fall back to English, so a partial translation file still works.
+function loadLanguage(code) {
+  const load = (lang) => {
+    if (!localeCache.has(lang)) localeCache.set(lang, d3.json(`${LOCALES_DIR}/${lang}.json`));
+    return localeCache.get(lang);
+  };
+  const chosen =
+    code === 'en'
+      ? null
+      : load(code).catch((error) => {
+          console.warn(`Falling back to English; could not load the ${code} translation`, error);
+          return null;
+        });
+  return Promise.all([load('en'), chosen]).then(([english, translated]) => {
+    translations = Object.fromEntries(
+      Object.keys(english).map((section) => [section, { ...english[section], ...translated?.[section] }])
+    );
+    uiLanguage = translated ? code : 'en';
+  });
+}
+
+function setLanguage(code) {
+  loadLanguage(code).then(() => {
+    try {
+      window.localStorage.setItem(LANGUAGE_KEY, uiLanguage);
+    } catch (error) {
+      console.warn('Could not remember the language', error);
+    }
+    applyLanguage();
+    // The CSV mapping form would lose its choices, so only a finished report is redrawn in the new language.
+    if (!dataPanel.property('hidden') && dataPanel.select('.csv-mapping').empty()) showDataPanel(lastDataReport);
+    if (!dashboardReady) return;
+    if (lastDataReport?.loaded !== undefined) updateDataSourceLabel(lastDataReport);
+    applySiteLanguage();
+    buildSearchIndex();
+    setupCriteriaControls();
+    setupFacetControls();
+    syncControlsToState();
+    updateLegends();
+    renderSavedViews();
+    updateStoryDraftStatus();
+    updateStoryPanel();
+    render();
+  });
+}
+
+function applyLanguage() {
+  uiLocale = translations.meta?.locale ?? uiLanguage;
+  document.documentElement.lang = uiLocale;
+  applyNumberLocale();
+  applyTranslationTables();
+  translateStaticText();
+  d3.select('#languageSelect').property('value', uiLanguage);
+}
+
+// d3's default number format follows the UI locale so axis ticks group digits the same way as the summary.
+function applyNumberLocale() {
+  const parts = new Intl.NumberFormat(uiLocale).formatToParts(12345.6);
+  const part = (type, fallback) => parts.find((d) => d.type === type)?.value ?? fallback;
+  d3.formatDefaultLocale({ decimal: part('decimal', '.'), thousands: part('group', ','), grouping: [3], currency: ['', ''] });
+}
+
+// The label tables at the top of this file hold the English defaults and are overwritten in place on a switch.
+function applyTranslationTables() {
+  Object.assign(criteriaDefinitions, translations.criteria);
+  Object.assign(categoryLabels, translations.categories);
+  Object.assign(dangerEventLabels, translations.dangerEvents);
+  Object.assign(compareLabels, translations.compare);
+  Object.entries(translations.levels ?? {}).forEach(([level, label]) => {
+    if (hierarchyLevels[level]) hierarchyLevels[level].label = label;
+  });
+  Object.entries(translations.choroplethMetrics ?? {}).forEach(([metric, label]) => {
+    if (choroplethMetrics[metric]) choroplethMetrics[metric].label = label;
+  });
+}
+
+function translateStaticText() {
+  if (!translations.strings) return;
+  document.title = t('app.title');
+  document.querySelectorAll('[data-i18n]').forEach((node) => {
+    node.textContent = t(node.dataset.i18n);
+  });
+  document.querySelectorAll('[data-i18n-html]').forEach((node) => {
+    node.innerHTML = t(node.dataset.i18nHtml);
+  });
+  document.querySelectorAll('[data-i18n-attr]').forEach((node) => {
+    node.dataset.i18nAttr.split(';').forEach((pair) => {
+      const [attribute, key] = pair.split(':');
+      node.setAttribute(attribute, t(key));
+    });
+  });
+}
+
+function t(key, params = {}) {
+  const template = translations.strings?.[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+function regionLabel(region) {
+  return translations.regions?.[region] ?? region;
+}
+
+// Picks the `*_<lang>` variant of a localized data field, falling back to English and then to whatever exists.
+function localizedText(values) {
+  const suffix = translations.meta?.dataSuffix ?? uiLanguage;
+  return values[suffix] || values.en || Object.values(values).find(Boolean) || '';
+}
+
+function applySiteLanguage() {
+  sites.forEach((site) => {
+    site.name = localizedText(site.names);
+    site.description = localizedText(site.descriptions);
+  });
+}
+
+function loadSiteRecords(rawSites, source) {
+  // The map, choropleth and country stats need the atlas, so an early import waits for init() to pick it up.
+  if (!worldGeo) {
+    pendingImport = [rawSites, source];
+    showDataPanel({ source, message: t('data.waiting') });
+    return;
+  }
+  const { valid, dropped, defaulted } = validateSites(rawSites);
+  if (!valid.length) {
+    showDataPanel({ source, total: rawSites.length, dropped, error: t('data.noUsable', { source }) });
+    return;
+  }
+  sites = valid.sort((a, b) => d3.ascending(a.year, b.year));
+  siteById = new Map(sites.map((site) => [site.id, site]));
+  indexCountryFeatures();
 
   const uniqueRegions = Array.from(new Set(sites.map((d) => d.region))).sort();
   regionColor = d3
@@ -91,17 +543,321 @@ function init([rawSites, worldData]) {
 
   yearExtent = d3.extent(sites, (d) => d.year);
   state.year = yearExtent[1];
+  const report = { source, total: rawSites.length, loaded: sites.length, dropped, defaulted };
+  updateDataSourceLabel(report);
+  if (dropped.length) {
+    showDataPanel(report);
+  } else {
+    hideDataPanel();
+  }
+
+  if (dashboardReady) {
+    if (!siteById.has(state.pinnedSiteId)) state.pinnedSiteId = null;
+    if (state.brushRange) {
+      state.brushRange = state.brushRange.map((year) => Math.max(yearExtent[0], Math.min(yearExtent[1], year)));
+    }
+    buildSearchIndex();
+    setupFacetControls();
+    syncControlsToState();
+    syncBrushToState();
+    updateLegends();
+    render();
+    return;
+  }
+  startDashboard();
+}
+
+function validateSites(rawSites) {
+  const valid = [];
+  const dropped = [];
+  const defaulted = [];
+  rawSites.forEach((record, index) => {
+    const label = record?.name_en || record?.id_no || `Record #${index + 1}`;
+    if (!record || typeof record !== 'object') {
+      dropped.push({ label, reason: 'data.reason.invalid', value: JSON.stringify(record ?? null) });
+      return;
+    }
+    const site = formatSite(record);
+    if (!site) {
+      dropped.push({ label, reason: 'data.reason.noYear', value: record?.date_inscribed ?? record?.secondary_dates });
+    } else if (!Number.isFinite(site.lat) || !Number.isFinite(site.lon)) {
+      dropped.push({ label, reason: 'data.reason.coordinates', value: JSON.stringify(record.coordinates ?? null) });
+    } else {
+      valid.push(site);
+      describeDefaults(record, site).forEach((issue) => defaulted.push({ label, ...issue }));
+    }
+  });
+  return { valid, dropped, defaulted };
+}
+
+// Mirrors the fallbacks in formatSite and the parsers so every silently repaired field is accounted for.
+function describeDefaults(record, site) {
+  const issues = [];
+  if (!parseYear(record.date_inscribed) && record.secondary_dates) {
+    issues.push({ reason: 'data.reason.secondaryYear', value: record.secondary_dates });
+  }
+  if (site.category === 'Other') {
+    issues.push({ reason: 'data.reason.category', value: record.category });
+  }
+  if (!record.region) {
+    issues.push({ reason: 'data.reason.region', value: record.region });
+  }
+  if (!(Array.isArray(record.states_names) && record.states_names.length)) {
+    issues.push({ reason: 'data.reason.countries', value: JSON.stringify(record.states_names ?? null) });
+  }
+  if (record.criteria_txt && !site.criteria.length) {
+    issues.push({ reason: 'data.reason.criteria', value: record.criteria_txt });
+  }
+  const unknownCriteria = site.criteria.filter((code) => !criteriaDefinitions[code]);
+  if (unknownCriteria.length) {
+    issues.push({ reason: 'data.reason.criterionCode', value: `${unknownCriteria.join(', ')} (${record.criteria_txt})` });
+  }
+  if (record.danger_list && !site.dangerEvents.length) {
+    issues.push({ reason: 'data.reason.danger', value: record.danger_list });
+  }
+  return issues;
+}
+
+function startDashboard() {
+  dashboardReady = true;
   updateYearSlider();
   setupCriteriaControls();
-  setupSearchOptions();
+  buildSearchIndex();
+  setupFacetControls();
   setupControlListeners();
+  setupSavedViews();
 
   initMap();
+  setupMapControls();
   initTimeline();
   initSunburst();
+  initDangerLanes();
+  initCriteriaView();
+  initNetwork();
+  setupResponsiveLayout();
+  setupStoryMode();
+  setupKeyboardNavigation();
+  restoreUrlState();
   updateLegends();
 
   render();
+  window.addEventListener('popstate', () => {
+    // Otherwise the next playback tick would overwrite the restored year.
+    stopPlayback();
+    restoreUrlState();
+    updateLegends();
+    render();
+  });
+}
+
+function setupDataImport() {
+  d3.select('#dataFileInput').on('change', (event) => {
+    const [file] = event.target.files;
+    if (file) readDataFile(file);
+    event.target.value = '';
+  });
+  d3.select('#dataSourceDetails').on('click', () => showDataPanel(lastDataReport));
+
+  dataPanel.on('click', (event) => {
+    if (event.target.closest('[data-action="close-data-panel"]')) hideDataPanel();
+  });
+
+  let dragDepth = 0;
+  d3.select(document.body)
+    .on('dragenter', (event) => {
+      if (!event.dataTransfer?.types.includes('Files')) return;
+      event.preventDefault();
+      dragDepth += 1;
+      d3.select(document.body).classed('drag-active', true);
+    })
+    .on('dragover', (event) => {
+      if (event.dataTransfer?.types.includes('Files')) event.preventDefault();
+    })
+    .on('dragleave', () => {
+      dragDepth = Math.max(0, dragDepth - 1);
+      if (!dragDepth) d3.select(document.body).classed('drag-active', false);
+    })
+    .on('drop', (event) => {
+      const [file] = event.dataTransfer?.files ?? [];
+      if (!file) return;
+      event.preventDefault();
+      dragDepth = 0;
+      d3.select(document.body).classed('drag-active', false);
+      readDataFile(file);
+    });
+}
+
+function readDataFile(file) {
+  file
+    .text()
+    .then((text) => {
+      if (/\.csv$/i.test(file.name) || file.type === 'text/csv') {
+        showCsvMapping(file.name, text);
+        return;
+      }
+      const parsed = JSON.parse(text);
+      const records = Array.isArray(parsed) ? parsed : parsed?.results ?? parsed?.records;
+      if (!Array.isArray(records)) {
+        throw new Error(t('data.expectedArray'));
+      }
+      loadSiteRecords(records, file.name);
+    })
+    .catch((error) => {
+      console.error('Failed to import data file', error);
+      showDataPanel({ source: file.name, error: t('data.readFailed', { source: file.name, message: error.message }) });
+    });
+}
+
+function showCsvMapping(fileName, text) {
+  // Our own CSV export prefixes a "# " header block; skip it so exports round-trip.
+  const rows = d3.csvParse(text.replace(/^(#.*\r?\n)+/, ''));
+  const headers = rows.columns ?? [];
+  const guess = (field) =>
+    csvFieldAliases[field]
+      .map((alias) => headers.find((header) => header.trim().toLowerCase() === alias))
+      .find(Boolean) ?? '';
+
+  showDataPanel({ source: fileName, message: t('data.csvMapping', { count: headers.length.toLocaleString(uiLocale) }) });
+  const form = dataPanel.select('.data-panel-body').append('form').attr('class', 'csv-mapping');
+  const fields = form
+    .selectAll('label')
+    .data(Object.keys(csvFieldAliases))
+    .join('label');
+  fields.append('span').text((d) => d);
+  fields
+    .append('select')
+    .attr('name', (d) => d)
+    .selectAll('option')
+    .data(['', ...headers])
+    .join('option')
+    .attr('value', (d) => d)
+    .text((d) => d || t('data.notPresent'));
+  fields.select('select').property('value', guess);
+  form.append('button').attr('type', 'submit').text(t('data.csvLoad', { count: rows.length.toLocaleString(uiLocale) }));
+  form.on('submit', (event) => {
+    event.preventDefault();
+    const mapping = Object.fromEntries(Object.keys(csvFieldAliases).map((field) => [field, form.select(`[name="${field}"]`).property('value')]));
+    loadSiteRecords(rows.map((row) => csvRowToRecord(row, mapping)), fileName);
+  });
+}
+
+function csvRowToRecord(row, mapping) {
+  const value = (field) => (mapping[field] ? row[mapping[field]]?.trim() ?? '' : '');
+  const splitList = (text) =>
+    text
+      .split(text.includes(';') ? ';' : ',')
+      .map((part) => part.trim())
+      .filter(Boolean);
+  const criteria = value('criteria_txt');
+  const [pointLat, pointLon] = value('coordinates').split(/[,;\s]+/).map(parseFloat);
+  return {
+    uuid: value('uuid') || undefined,
+    id_no: value('id_no') || undefined,
+    name_en: value('name_en'),
+    date_inscribed: value('date_inscribed'),
+    category: value('category'),
+    criteria_txt: criteria.includes('(')
+      ? criteria
+      : (criteria.match(/[ivx]+/gi) || []).map((code) => `(${code.toLowerCase()})`).join(''),
+    states_names: splitList(value('states_names')),
+    iso_codes: value('iso_codes').replace(/;\s*/g, ','),
+    region: value('region') || undefined,
+    coordinates: {
+      lat: mapping.latitude ? parseFloat(value('latitude')) : pointLat,
+      lon: mapping.longitude ? parseFloat(value('longitude')) : pointLon
+    },
+    danger: /^(true|1|yes|y)$/i.test(value('danger')) ? 'True' : 'False',
+    danger_list: value('danger_list').replace(/;/g, ' '),
+    short_description_en: value('short_description_en')
+  };
+}
+
+function showDataPanel(report) {
+  if (!report) return;
+  lastDataReport = report;
+  dataPanel.attr('hidden', null).html(`
+    <div class="data-panel-header">
+      <h2>${t('data.panelTitle', { source: escapeHtml(report.source) })}</h2>
+      <button type="button" data-action="close-data-panel" aria-label="${t('data.close')}">✕</button>
+    </div>
+    <div class="data-panel-body"></div>
+  `);
+  const body = dataPanel.select('.data-panel-body');
+  if (report.error) body.append('p').attr('class', 'data-error').text(report.error);
+  if (report.message) body.append('p').text(report.message);
+  if (report.loaded !== undefined) {
+    body
+      .append('p')
+      .text(t('data.loaded', { loaded: report.loaded.toLocaleString(uiLocale), total: report.total.toLocaleString(uiLocale) }));
+  }
+  renderIssueGroups(body, t('data.dropped'), report.dropped);
+  renderIssueGroups(body, t('data.defaulted'), report.defaulted);
+}
+
+function renderIssueGroups(body, title, issues) {
+  if (!issues?.length) return;
+  const records = new Set(issues.map((issue) => issue.label)).size;
+  body
+    .append('h3')
+    .text(
+      t('data.issueCount', {
+        title,
+        count: issues.length.toLocaleString(uiLocale),
+        records: t(records === 1 ? 'data.record' : 'data.records', { count: records.toLocaleString(uiLocale) })
+      })
+    );
+  d3.groups(issues, (issue) => issue.reason).forEach(([reason, items]) => {
+    const details = body.append('details').attr('class', 'issue-group');
+    details.append('summary').text(`${t(reason)} — ${items.length.toLocaleString(uiLocale)}`);
+    const table = details.append('table').attr('class', 'data-table');
+    table
+      .append('thead')
+      .append('tr')
+      .selectAll('th')
+      .data([t('data.recordColumn'), t('data.rawValue')])
+      .join('th')
+      .text((d) => d);
+    table
+      .append('tbody')
+      .selectAll('tr')
+      .data(items)
+      .join('tr')
+      .selectAll('td')
+      .data((d) => [d.label, d.value === undefined || d.value === null || d.value === '' ? t('data.empty') : d.value])
+      .join('td')
+      .text((d) => d);
+  });
+}
+
+function hideDataPanel() {
+  dataPanel.attr('hidden', true).html('');
+}
+
+function updateDataSourceLabel(report) {
+  lastDataReport = report;
+  d3.select('#dataSourceDetails')
+    .attr('hidden', null)
+    .text(
+      t('data.sourceSummary', {
+        source: report.source,
+        count: report.loaded.toLocaleString(uiLocale),
+        issues: [
+          report.dropped.length ? t('data.sourceDropped', { count: report.dropped.length.toLocaleString(uiLocale) }) : '',
+          report.defaulted.length ? t('data.sourceDefaulted', { count: report.defaulted.length.toLocaleString(uiLocale) }) : ''
+        ].join('')
+      })
+    );
+}
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+// UNESCO descriptions carry a little markup; keep just the text so a loaded file can't inject any.
+function plainText(html) {
+  const doc = new DOMParser().parseFromString(String(html ?? ''), 'text/html');
+  doc.querySelectorAll('script, style').forEach((node) => node.remove());
+  return doc.body.textContent;
 }
 
 function formatSite(d) {
@@ -111,10 +867,15 @@ function formatSite(d) {
   const countries = Array.isArray(d.states_names) && d.states_names.length ? d.states_names : ['Unspecified country'];
   const dangerEvents = parseDangerList(d.danger_list);
   const category = ['Cultural', 'Natural', 'Mixed'].includes(d.category) ? d.category : 'Other';
+  const names = localizedFields(d, 'name');
+  const descriptions = localizedFields(d, 'short_description');
   return {
-    id: d.uuid ?? d.id_no ?? d.name_en,
-    name: d.name_en,
-    region: d.region ?? 'Unspecified region',
+    // A string, so ids read back from the URL or a data- attribute find their site even when id_no is numeric.
+    id: String(d.uuid ?? d.id_no ?? d.name_en),
+    idNo: d.id_no,
+    name: localizedText(names),
+    names,
+    region: d.region || 'Unspecified region',
     year,
     category,
     criteria,
@@ -127,13 +888,24 @@ function formatSite(d) {
     dangerTimeline: dangerEvents.length
       ? dangerEvents.map((evt) => `${evt.type} ${evt.year}`).join(' → ')
       : 'No recorded danger events',
-    description: d.short_description_en || d.short_description_zh || '',
+    description: localizedText(descriptions),
+    descriptions,
     iso: d.iso_codes,
     url: d.main_image_url?.url,
     criteriaText: d.criteria_txt
   };
 }
 
+// Collects `name_en`, `name_zh`, … into `{ en, zh, … }`.
+function localizedFields(record, field) {
+  const pattern = new RegExp(`^${field}_([a-z]{2})$`);
+  return Object.fromEntries(
+    Object.entries(record)
+      .map(([key, value]) => [key.match(pattern)?.[1], value])
+      .filter(([lang, value]) => lang && value)
+  );
+}
+
 function parseYear(value) {
   if (!value) return null;
   const match = String(value).match(/\d{4}/);
@@ -179,41 +951,305 @@ function setYear(year, { pausePlayback = false } = {}) {
 function setupCriteriaControls() {
   const container = d3.select('#criteriaList');
   const entries = criteriaOrder.map((code) => ({ code, desc: criteriaDefinitions[code] }));
-  const labels = container
-    .selectAll('label')
+  const items = container
+    .selectAll('div.criterion')
     .data(entries)
-    .join('label')
+    .join('div')
+    .attr('class', 'criterion')
+    .attr('title', (d) => d.desc)
     .html(
       (d) => `
-        <input type="checkbox" value="${d.code}" />
-        <span>${d.code.toUpperCase()}</span>
+        <label><input type="checkbox" value="${d.code}" /> <span>${d.code.toUpperCase()}</span></label>
+        <button type="button" class="criterion-exclude" aria-label="${t('criteria.exclude', { code: d.code })}" aria-pressed="false">¬</button>
       `
     );
 
-  labels
+  items
     .select('input')
     .on('change', function (event, d) {
       if (event.target.checked) {
         state.selectedStandards.add(d.code);
+        state.excludedStandards.delete(d.code);
       } else {
         state.selectedStandards.delete(d.code);
       }
+      syncFilterControls();
       render();
     });
+
+  items.select('.criterion-exclude').on('click', (event, d) => {
+    if (state.excludedStandards.has(d.code)) {
+      state.excludedStandards.delete(d.code);
+    } else {
+      state.excludedStandards.add(d.code);
+      state.selectedStandards.delete(d.code);
+    }
+    syncFilterControls();
+    render();
+  });
 }
 
-function setupSearchOptions() {
-  const list = d3.select('#searchOptions');
-  const options = new Set();
-  sites.forEach((site) => {
-    options.add(site.name);
-    site.countries.forEach((country) => options.add(country));
+function buildSearchIndex() {
+  searchIndex = sites.map((site) => ({
+    site,
+    countryNames: site.countries.map(foldText),
+    fields: {
+      name: searchWords(Object.values(site.names).join(' ') || site.name),
+      countries: searchWords(site.statesText),
+      region: searchWords(site.region),
+      description: searchWords(site.description)
+    }
+  }));
+  searchScoreCache = new Map();
+}
+
+// Folds accents, case and punctuation so "Côte d’Ivoire" and "cote divoire" compare equal. Chinese has no spaces,
+// so each Han character becomes its own word.
+function foldText(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’`]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .replace(/\p{Script=Han}/gu, ' $& ')
+    .replace(/ {2,}/g, ' ')
+    .trim();
+}
+
+function searchWords(text) {
+  return foldText(text).split(' ').filter(Boolean);
+}
+
+function parseSearchQuery(term) {
+  const query = { tokens: [], fields: [] };
+  const pattern = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+  for (const [, key, quoted, bare, phrase, word] of term.matchAll(pattern)) {
+    const field = key && SEARCH_FIELD_ALIASES[key.toLowerCase()];
+    if (field) {
+      query.fields.push({ field, value: foldText(quoted ?? bare), exact: quoted !== undefined });
+    } else {
+      query.tokens.push(...searchWords(phrase ?? word ?? `${key} ${quoted ?? bare}`));
+    }
+  }
+  return query;
+}
+
+// Optimal string alignment distance, so a swapped pair of letters ("itlay") counts as one typo.
+function editDistance(a, b, limit) {
+  let older = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], older[j - 2] + 1);
+      }
+    }
+    if (Math.min(...current) > limit) return limit + 1;
+    older = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 1 for an exact word, less for prefixes, substrings and near-misses; 0 when nothing is close.
+function tokenScore(token, words) {
+  const allowance = token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0;
+  let best = 0;
+  for (const word of words) {
+    if (word === token) return 1;
+    if (word.startsWith(token)) {
+      best = Math.max(best, 0.8);
+    } else if (token.length >= 3 && word.includes(token)) {
+      best = Math.max(best, 0.6);
+    } else if (best < 0.5 && allowance && Math.abs(word.length - token.length) <= allowance) {
+      if (editDistance(token, word, allowance) <= allowance) best = 0.5;
+    }
+  }
+  return best;
+}
+
+function phraseMatches(value, candidates) {
+  const tokens = value.split(' ').filter(Boolean);
+  return candidates.some((candidate) => {
+    const words = candidate.split(' ');
+    return candidate.startsWith(value) || tokens.every((token) => tokenScore(token, words) > 0);
+  });
+}
+
+function matchesSearchField(entry, { field, value, exact }) {
+  const { site } = entry;
+  if (!value) return true;
+  if (field === 'name') return phraseMatches(value, [foldText(site.name)]);
+  // A quoted country, as the dropdown writes it, names one States Party: "niger" must not also match Nigeria.
+  if (field === 'country') return exact ? entry.countryNames.includes(value) : phraseMatches(value, entry.countryNames);
+  if (field === 'region') return phraseMatches(value, [foldText(site.region), foldText(regionLabel(site.region))]);
+  if (field === 'category') {
+    return [site.category, categoryLabels[site.category]].some((label) => foldText(label).startsWith(value));
+  }
+  if (field === 'criteria') return value.split(' ').every((code) => site.criteria.includes(code));
+  const [from, to = from] = value.split(' ').map(Number);
+  return site.year >= from && site.year <= to;
+}
+
+function siteSearchScore(entry, query) {
+  if (!query.fields.every((field) => matchesSearchField(entry, field))) return 0;
+  let total = query.fields.length ? 1 : 0;
+  for (const token of query.tokens) {
+    const best = d3.max(Object.entries(SEARCH_FIELD_WEIGHTS), ([field, weight]) => tokenScore(token, entry.fields[field]) * weight);
+    if (!best) return 0;
+    total += best;
+  }
+  return total;
+}
+
+// Scores by site id for a search term; playback re-filters with the same term every tick, so results are cached.
+function searchScores(term) {
+  if (!searchScoreCache.has(term)) {
+    const query = parseSearchQuery(term);
+    const scores = new Map();
+    searchIndex.forEach((entry) => {
+      const score = siteSearchScore(entry, query);
+      if (score > 0) scores.set(entry.site.id, score);
+    });
+    if (searchScoreCache.size > 20) searchScoreCache.clear();
+    searchScoreCache.set(term, scores);
+  }
+  return searchScoreCache.get(term);
+}
+
+function searchSuggestions(term) {
+  const scores = searchScores(term);
+  const siteOptions = d3
+    .sort(scores, ([, score]) => -score)
+    .slice(0, SEARCH_RESULT_LIMITS.site)
+    .map(([id]) => {
+      const site = siteById.get(id);
+      return { kind: 'site', label: site.name, meta: `${site.statesText} · ${site.year}`, site };
+    });
+  const { tokens } = parseSearchQuery(term);
+  // Regions also match on their translated name.
+  const groupOptions = (kind, counts, format = (name) => name) =>
+    tokens.length
+      ? d3
+          .sort(
+            Array.from(counts)
+              .map(([name, count]) => ({ name, count, words: searchWords(`${name} ${format(name)}`) }))
+              .map((d) => ({ ...d, score: d3.sum(tokens, (token) => tokenScore(token, d.words)) }))
+              .filter((d) => tokens.every((token) => tokenScore(token, d.words) > 0)),
+            (d) => -d.score,
+            (d) => -d.count
+          )
+          .slice(0, SEARCH_RESULT_LIMITS[kind])
+          .map((d) => ({ kind, label: format(d.name), meta: t('count.sites', { count: d.count.toLocaleString(uiLocale) }), value: d.name }))
+      : [];
+  const countryOptions = groupOptions(
+    'country',
+    d3.rollup(
+      sites.flatMap((site) => site.countries),
+      (group) => group.length,
+      (country) => country
+    )
+  );
+  const regionOptions = groupOptions(
+    'region',
+    d3.rollup(sites, (group) => group.length, (site) => site.region),
+    regionLabel
+  );
+  return [
+    { label: t('search.sites'), options: siteOptions },
+    { label: t('search.countries'), options: countryOptions },
+    { label: t('search.regions'), options: regionOptions }
+  ].filter((group) => group.options.length);
+}
+
+function updateSearchResults() {
+  const input = document.getElementById('searchInput');
+  const term = input.value.trim();
+  const groups = term && document.activeElement === input ? searchSuggestions(term) : [];
+  searchOptions = groups.flatMap((group) => group.options);
+  searchActiveIndex = -1;
+  const rows = groups.flatMap((group) => [{ heading: group.label }, ...group.options]);
+  d3.select('#searchResults')
+    .attr('hidden', rows.length ? null : true)
+    .selectAll('li')
+    .data(rows)
+    .join('li')
+    .attr('class', (d) => (d.heading ? 'search-group' : `search-option search-option--${d.kind}`))
+    .attr('role', (d) => (d.heading ? 'presentation' : 'option'))
+    .attr('id', (d) => (d.heading ? null : `search-option-${searchOptions.indexOf(d)}`))
+    .attr('aria-selected', (d) => (d.heading ? null : 'false'))
+    .html((d) => (d.heading ? escapeHtml(d.heading) : `<span>${escapeHtml(d.label)}</span><small>${escapeHtml(d.meta)}</small>`))
+    .on('mousedown', (event) => event.preventDefault())
+    .on('click', (event, d) => {
+      if (!d.heading) chooseSearchOption(d);
+    });
+  d3.select(input).attr('aria-expanded', String(rows.length > 0)).attr('aria-activedescendant', null);
+}
+
+function setActiveSearchOption(index) {
+  if (!searchOptions.length) return;
+  searchActiveIndex = (index + searchOptions.length) % searchOptions.length;
+  d3.selectAll('#searchResults .search-option')
+    .classed('active', (d) => d === searchOptions[searchActiveIndex])
+    .attr('aria-selected', (d) => String(d === searchOptions[searchActiveIndex]));
+  d3.select('#searchInput').attr('aria-activedescendant', `search-option-${searchActiveIndex}`);
+  document.getElementById(`search-option-${searchActiveIndex}`)?.scrollIntoView?.({ block: 'nearest' });
+}
+
+function chooseSearchOption(option) {
+  const input = document.getElementById('searchInput');
+  if (option.kind === 'site') {
+    focusSiteOnMap(option.site);
+  } else {
+    input.value = `${option.kind}:"${option.value}"`;
+    state.searchTerm = input.value.toLowerCase();
+    if (option.kind === 'country') state.profileCountry = option.value;
+    render();
+  }
+  closeSearchResults();
+}
+
+function closeSearchResults() {
+  searchOptions = [];
+  searchActiveIndex = -1;
+  d3.select('#searchResults').attr('hidden', true).selectAll('li').remove();
+  d3.select('#searchInput').attr('aria-expanded', 'false').attr('aria-activedescendant', null);
+}
+
+// Region and category checkboxes depend on the loaded data, so they're rebuilt whenever it changes.
+function setupFacetControls() {
+  const facets = [
+    ['#regionFilters', 'regions', regionColor.domain(), regionLabel],
+    ['#categoryFilters', 'categories', categoryColor.domain(), (value) => categoryLabels[value] ?? value]
+  ];
+  facets.forEach(([selector, field, values, format]) => {
+    const labels = d3
+      .select(selector)
+      .selectAll('label')
+      .data(values, (d) => d)
+      .join((enter) => {
+        const label = enter.append('label');
+        label.append('input').attr('type', 'checkbox');
+        label.append('span');
+        return label;
+      });
+    labels.select('input').attr('value', (d) => d).on('change', (event, d) => {
+      if (event.target.checked) {
+        state[field].add(d);
+      } else {
+        state[field].delete(d);
+      }
+      render();
+    });
+    labels.select('span').text(format);
+  });
+  d3.selectAll('#yearFrom, #yearTo').attr('min', yearExtent[0]).attr('max', yearExtent[1]).attr('placeholder', function () {
+    return this.id === 'yearFrom' ? yearExtent[0] : yearExtent[1];
   });
-  list
-    .selectAll('option')
-    .data(Array.from(options).sort())
-    .join('option')
-    .attr('value', (d) => d);
 }
 
 function setupControlListeners() {
@@ -229,67 +1265,920 @@ function setupControlListeners() {
     render();
   });
 
-  d3.select('#searchInput').on('input', (event) => {
-    state.searchTerm = event.target.value.trim().toLowerCase();
-    render();
-  });
+  d3.select('#searchInput')
+    .on('input', (event) => {
+      state.searchTerm = event.target.value.trim().toLowerCase();
+      render();
+      updateSearchResults();
+    })
+    .on('focus', updateSearchResults)
+    .on('blur', closeSearchResults)
+    .on('keydown', (event) => {
+      if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        event.preventDefault();
+        if (!searchOptions.length) updateSearchResults();
+        setActiveSearchOption(searchActiveIndex + (event.key === 'ArrowDown' ? 1 : -1));
+      } else if (event.key === 'Enter' && searchOptions[searchActiveIndex]) {
+        event.preventDefault();
+        chooseSearchOption(searchOptions[searchActiveIndex]);
+      } else if (event.key === 'Escape') {
+        closeSearchResults();
+      }
+    });
 
   d3.select('#dangerOnly').on('change', (event) => {
     state.dangerOnly = event.target.checked;
     render();
   });
 
+  d3.select('#transboundaryOnly').on('change', (event) => {
+    state.transboundaryOnly = event.target.checked;
+    render();
+  });
+
+  d3.selectAll('#yearFrom, #yearTo').on('change', () => {
+    state.yearRange = readYearRange();
+    syncFilterControls();
+    render();
+  });
+
+  d3.select('#filterChips').on('click', (event) => {
+    const button = event.target.closest('[data-clear]');
+    if (button) clearFilter(button.dataset.clear);
+  });
+
+  d3.select('#dangerStatusMode').on('change', (event) => {
+    state.dangerStatusMode = event.target.value;
+    updateLegends();
+    render();
+  });
+
   d3.select('#andDangerEvents').on('change', (event) => {
     state.showDangerEvents = event.target.checked;
     updateLegends();
     render();
   });
 
-  d3.select('#criteriaMode').on('click', function () {
+  d3.select('#criteriaMode').on('click', () => {
     state.standardMode = state.standardMode === 'OR' ? 'AND' : 'OR';
-    d3.select(this)
-      .attr('data-mode', state.standardMode)
-      .text(state.standardMode === 'OR' ? 'Mode: match any' : 'Mode: match all');
+    updateCriteriaModeButton();
     render();
   });
 
   d3.select('#playToggle').on('click', () => togglePlay());
+  d3.select('#stepBack').on('click', () => stepYear(-1));
+  d3.select('#stepForward').on('click', () => stepYear(1));
+  d3.select('#playSpeed').on('change', (event) => {
+    state.playSpeed = +event.target.value || 1;
+  });
+  d3.select('#playLoop').on('change', (event) => {
+    state.playLoop = event.target.checked;
+  });
+
+  d3.selectAll('[data-export]').on('click', (event) => {
+    exportFilteredSites(event.currentTarget.dataset.export);
+  });
+
+  d3.selectAll('.view-export button').on('click', (event) => {
+    const group = event.currentTarget.closest('.view-export');
+    const scale = +group.querySelector('.png-scale').value;
+    exportView(group.dataset.view, event.currentTarget.dataset.format, scale);
+  });
+
+  d3.select('#compareToggle').on('change', (event) => setCompareMode(event.target.checked));
+  d3.selectAll('.compare-sets button').on('click', (event) => setActiveCompareSet(event.currentTarget.dataset.set));
+
+  d3.select('#timelineMode').on('change', (event) => {
+    state.timelineMode = event.target.value;
+    syncTimelineControls();
+    updateLegends();
+    render();
+  });
+
+  d3.select('#timelineScale').on('change', (event) => {
+    state.timelineScale = event.target.value;
+    render();
+  });
+
+  d3.select('#dangerSort').on('change', (event) => {
+    state.dangerSort = event.target.value;
+    render();
+  });
 
   breadcrumb.on('click', () => {
     state.sunburstSelection = null;
-    breadcrumb.text('All Regions');
+    updateBreadcrumb();
     render();
   });
-}
 
-function togglePlay() {
-  if (state.playing) {
-    stopPlayback();
-  } else {
-    state.playing = true;
-    d3.select('#playToggle').text('⏸');
-    playTimer = setInterval(() => {
-      const nextYear = state.year >= yearExtent[1] ? yearExtent[0] : state.year + 1;
-      setYear(nextYear);
-    }, 800);
-  }
-}
+  siteDetail.on('click', (event) => {
+    if (event.target.closest('[data-action="unpin"]')) pinSite(null);
+    const countryButton = event.target.closest('[data-country]');
+    if (countryButton) openCountryProfile(countryButton.dataset.country);
+  });
 
-function stopPlayback() {
-  if (!state.playing) return;
-  state.playing = false;
-  d3.select('#playToggle').text('▶︎');
-  clearInterval(playTimer);
-}
+  countryProfile.on('click', handleCountryProfileClick);
 
-function initMap() {
+  // Escape closes the innermost panel first: the pinned site, then the country profile.
+  d3.select(document).on('keydown.unpin', (event) => {
+    if (event.key !== 'Escape') return;
+    if (state.pinnedSiteId) {
+      pinSite(null);
+    } else if (state.profileCountry) {
+      openCountryProfile(null);
+    }
+  });
+
+  d3.select(document).on('keydown.shortcuts', handleShortcutKey);
+
+  d3.selectAll('details.view-table').on('toggle', function () {
+    if (this.open) renderViewTable(this);
+  });
+}
+
+function snapshotFilters(source = state) {
+  return {
+    selectedStandards: new Set(source.selectedStandards),
+    excludedStandards: new Set(source.excludedStandards),
+    standardMode: source.standardMode,
+    searchTerm: source.searchTerm,
+    dangerOnly: source.dangerOnly,
+    yearRange: source.yearRange ? [...source.yearRange] : null,
+    regions: new Set(source.regions),
+    categories: new Set(source.categories),
+    transboundaryOnly: source.transboundaryOnly,
+    sunburstSelection: source.sunburstSelection ? { ...source.sunburstSelection } : null
+  };
+}
+
+// The live filter fields on `state` always belong to the set being edited; the other set waits in compareSets.
+function compareFilterSets() {
+  if (!state.compareMode) return { A: state, B: null };
+  return {
+    A: state.activeSet === 'A' ? state : state.compareSets.A,
+    B: state.activeSet === 'B' ? state : state.compareSets.B
+  };
+}
+
+function setCompareMode(enabled) {
+  if (enabled === state.compareMode) return;
+  state.compareMode = enabled;
+  if (enabled) {
+    state.compareSets = { A: snapshotFilters(), B: snapshotFilters() };
+    state.activeSet = 'B';
+  } else {
+    state.compareSets = { A: null, B: null };
+    state.activeSet = 'A';
+  }
+  syncCompareControls();
+  syncTimelineControls();
+  updateBreadcrumb();
+  updateLegends();
+  render();
+}
+
+function setActiveCompareSet(set) {
+  if (!state.compareMode || set === state.activeSet) return;
+  state.compareSets[state.activeSet] = snapshotFilters();
+  state.activeSet = set;
+  Object.assign(state, snapshotFilters(state.compareSets[set]));
+  syncControlsToState();
+  render();
+}
+
+function syncCompareControls() {
+  d3.select('#compareToggle').property('checked', state.compareMode);
+  d3.selectAll('.compare-sets button')
+    .property('disabled', !state.compareMode)
+    .classed('active', function () {
+      return state.compareMode && this.dataset.set === state.activeSet;
+    })
+    .attr('aria-pressed', function () {
+      return String(state.compareMode && this.dataset.set === state.activeSet);
+    });
+  d3.select('.controls').attr('data-compare-set', state.compareMode ? state.activeSet : null);
+}
+
+function updateCriteriaModeButton() {
+  d3.select('#criteriaMode')
+    .attr('data-mode', state.standardMode)
+    .text(state.standardMode === 'OR' ? t('criteria.matchAny') : t('criteria.matchAll'));
+}
+
+function syncControlsToState() {
+  updateYearSlider();
+  updateCriteriaModeButton();
+  updateBreadcrumb();
+  d3.select('#viewMode').property('value', state.viewMode);
+  d3.select('#searchInput').property('value', state.searchTerm);
+  d3.select('#dangerOnly').property('checked', state.dangerOnly);
+  d3.select('#dangerStatusMode').property('value', state.dangerStatusMode);
+  d3.select('#andDangerEvents').property('checked', state.showDangerEvents);
+  syncMapModeControls();
+  syncTimelineControls();
+  renderSunburstLevelControls();
+  d3.select('#dangerSort').property('value', state.dangerSort);
+  syncCompareControls();
+  syncFilterControls();
+}
+
+function syncFilterControls() {
+  d3.selectAll('#criteriaList input').property('checked', function () {
+    return state.selectedStandards.has(this.value);
+  });
+  d3.selectAll('#criteriaList .criterion')
+    .classed('excluded', (d) => state.excludedStandards.has(d.code))
+    .select('.criterion-exclude')
+    .attr('aria-pressed', (d) => String(state.excludedStandards.has(d.code)));
+  d3.selectAll('#regionFilters input').property('checked', function () {
+    return state.regions.has(this.value);
+  });
+  d3.selectAll('#categoryFilters input').property('checked', function () {
+    return state.categories.has(this.value);
+  });
+  d3.select('#transboundaryOnly').property('checked', state.transboundaryOnly);
+  d3.select('#yearFrom').property('value', state.yearRange ? state.yearRange[0] : '');
+  d3.select('#yearTo').property('value', state.yearRange ? state.yearRange[1] : '');
+}
+
+function readYearRange() {
+  const from = parseInt(document.getElementById('yearFrom').value, 10);
+  const to = parseInt(document.getElementById('yearTo').value, 10);
+  if (!Number.isFinite(from) && !Number.isFinite(to)) return null;
+  const clampYear = (value) => Math.max(yearExtent[0], Math.min(yearExtent[1], value));
+  // A missing bound is open-ended, and reversed bounds are swapped rather than rejected.
+  const bounds = [Number.isFinite(from) ? from : yearExtent[0], Number.isFinite(to) ? to : yearExtent[1]].map(clampYear);
+  return [Math.min(...bounds), Math.max(...bounds)];
+}
+
+function syncTimelineControls() {
+  const mode = timelineMode();
+  d3.select('#timelineMode').property('value', state.timelineMode);
+  d3.select('#timelineMode option[value="stream"]').property('disabled', state.compareMode);
+  d3.select('#timelineScale')
+    .property('value', state.timelineScale)
+    .property('disabled', mode === 'normalized' || mode === 'stream');
+}
+
+function togglePlay() {
+  if (state.playing) {
+    stopPlayback();
+    return;
+  }
+  const [start, end] = playbackRange();
+  if (state.year < start || state.year >= end) setYear(start);
+  state.playing = true;
+  d3.select('#playToggle').text('⏸').attr('aria-pressed', 'true');
+  playElapsed = 0;
+  lastPlayTick = null;
+  playFrame = requestAnimationFrame(playbackFrame);
+}
+
+function stopPlayback() {
+  if (!state.playing) return;
+  state.playing = false;
+  d3.select('#playToggle').text('▶︎').attr('aria-pressed', 'false');
+  cancelAnimationFrame(playFrame);
+  timelinePlayhead?.style('display', 'none');
+  updateDangerYearRule(state.year);
+}
+
+// Playback stays inside the brushed years when a range is brushed.
+function playbackRange() {
+  return state.brushRange ?? yearExtent;
+}
+
+// The year and the views change once per tick; between ticks the frames just glide the playhead.
+function playbackFrame(now) {
+  playElapsed += now - (lastPlayTick ?? now);
+  lastPlayTick = now;
+  const interval = PLAY_YEAR_MS / state.playSpeed;
+  const [start, end] = playbackRange();
+  if (playElapsed >= interval) {
+    playElapsed %= interval;
+    const previous = state.year;
+    state.year = state.year < start || state.year >= end ? start : state.year + 1;
+    updateYearSlider();
+    renderYear();
+    if (state.year === previous + 1) pulseYearChanges(state.year);
+    if (state.year >= end && !state.playLoop) {
+      stopPlayback();
+      return;
+    }
+  }
+  updatePlayhead(Math.min(end, state.year + playElapsed / interval));
+  playFrame = requestAnimationFrame(playbackFrame);
+}
+
+function updatePlayhead(year) {
+  const x = timelineScales.x(year);
+  timelinePlayhead.style('display', null).attr('x1', x).attr('x2', x);
+  updateDangerYearRule(year);
+}
+
+function stepYear(delta, { pausePlayback = true } = {}) {
+  const previous = state.year;
+  setYear(state.year + delta, { pausePlayback });
+  if (state.year === previous + 1) pulseYearChanges(state.year);
+}
+
+// Newly inscribed sites pulse and sites taken off the danger list flash when the year moves forward by one.
+function pulseYearChanges(year) {
+  if (window.matchMedia?.('(prefers-reduced-motion: reduce)').matches || state.mapMode !== 'points') return;
+  const start = performance.now();
+  const changes = currentFiltered.flatMap((site) => [
+    ...(site.year === year ? [{ id: `new-${site.id}`, kind: 'new', site, start }] : []),
+    ...(site.dangerEvents.some((evt) => evt.type === 'R' && evt.year === year)
+      ? [{ id: `removed-${site.id}`, kind: 'removed', site, start }]
+      : [])
+  ]);
+  const incoming = new Set(changes.map((pulse) => pulse.id));
+  mapPulses = [...mapPulses.filter((pulse) => !incoming.has(pulse.id)), ...changes].slice(-MAP_PULSE_LIMIT);
+  if (mapPulses.length && !pulseFrame) pulseFrame = requestAnimationFrame(drawMapPulses);
+}
+
+function drawMapPulses(now) {
+  const transform = d3.zoomTransform(d3.select('#map').node());
+  const progress = (pulse) => Math.max(0, Math.min(1, (now - pulse.start) / MAP_PULSE_MS));
+  mapPulses = mapPulses.filter((pulse) => progress(pulse) < 1);
+  mapPulseLayer
+    .selectAll('circle')
+    .data(mapPulses, (d) => d.id)
+    .join('circle')
+    .attr('class', (d) => `map-pulse map-pulse--${d.kind}`)
+    .attr('cx', (d) => transform.applyX(projectSite(d.site)[0]))
+    .attr('cy', (d) => transform.applyY(projectSite(d.site)[1]))
+    .attr('r', (d) => MAP_POINT_RADIUS + (d.kind === 'new' ? 14 : 8) * d3.easeCubicOut(progress(d)))
+    .attr('opacity', (d) => 1 - progress(d));
+  pulseFrame = mapPulses.length ? requestAnimationFrame(drawMapPulses) : null;
+}
+
+function serializeState() {
+  const params = new URLSearchParams();
+  params.set('year', state.year);
+  if (state.viewMode !== 'category') params.set('view', state.viewMode);
+  if (state.sunburstLevels.join() !== DEFAULT_SUNBURST_LEVELS.join()) params.set('levels', state.sunburstLevels.join(','));
+  const sets = compareFilterSets();
+  serializeFilters(params, sets.A);
+  if (state.compareMode) {
+    params.set('compare', state.activeSet);
+    serializeFilters(params, sets.B, 'b.');
+  }
+  if (state.dangerStatusMode !== 'historical') params.set('dstatus', state.dangerStatusMode);
+  if (!state.showDangerEvents) params.set('events', '0');
+  if (state.brushRange) params.set('brush', state.brushRange.join('-'));
+  if (state.pinnedSiteId) params.set('site', state.pinnedSiteId);
+  if (state.profileCountry) params.set('profile', state.profileCountry);
+  if (!state.mapClustering) params.set('cluster', '0');
+  if (state.mapMode !== 'points') params.set('map', state.mapMode);
+  if (state.choroplethMetric !== 'count') params.set('metric', state.choroplethMetric);
+  if (state.mapFacet !== 'decade') params.set('facet', state.mapFacet);
+  if (state.timelineMode !== 'annual') params.set('tmode', state.timelineMode);
+  if (state.timelineScale !== 'linear') params.set('tscale', state.timelineScale);
+  if (state.dangerSort !== 'first') params.set('dsort', state.dangerSort);
+  return params.toString().replace(/%2C/gi, ',').replace(/%3A/gi, ':');
+}
+
+function serializeFilters(params, filters, prefix = '') {
+  if (filters.selectedStandards.size) {
+    params.set(`${prefix}criteria`, criteriaOrder.filter((code) => filters.selectedStandards.has(code)).join(','));
+  }
+  if (filters.excludedStandards.size) {
+    params.set(`${prefix}not`, criteriaOrder.filter((code) => filters.excludedStandards.has(code)).join(','));
+  }
+  if (filters.standardMode !== 'OR') params.set(`${prefix}mode`, filters.standardMode);
+  if (filters.searchTerm) params.set(`${prefix}q`, filters.searchTerm);
+  if (filters.dangerOnly) params.set(`${prefix}danger`, '1');
+  if (filters.yearRange) params.set(`${prefix}years`, filters.yearRange.join('-'));
+  if (filters.regions.size) params.set(`${prefix}regions`, Array.from(filters.regions).sort().join(','));
+  if (filters.categories.size) params.set(`${prefix}categories`, Array.from(filters.categories).join(','));
+  if (filters.transboundaryOnly) params.set(`${prefix}tb`, '1');
+  Object.entries(filters.sunburstSelection ?? {}).forEach(([level, value]) => params.set(`${prefix}${level}`, value));
+}
+
+function parseFilterParams(params, prefix = '') {
+  const get = (key) => params.get(`${prefix}${key}`);
+  const years = (get('years') || '').split('-').map((v) => parseInt(v, 10));
+  const selection = Object.fromEntries(
+    Object.keys(hierarchyLevels)
+      .filter((level) => get(level))
+      .map((level) => [level, get(level)])
+  );
+  return {
+    selectedStandards: new Set((get('criteria') || '').split(',').filter((code) => criteriaOrder.includes(code))),
+    excludedStandards: new Set((get('not') || '').split(',').filter((code) => criteriaOrder.includes(code))),
+    standardMode: get('mode') === 'AND' ? 'AND' : 'OR',
+    searchTerm: (get('q') || '').trim().toLowerCase(),
+    dangerOnly: get('danger') === '1',
+    yearRange: years.length === 2 && years.every(Number.isFinite) ? [Math.min(...years), Math.max(...years)] : null,
+    regions: new Set((get('regions') || '').split(',').filter((region) => regionColor.domain().includes(region))),
+    categories: new Set((get('categories') || '').split(',').filter((key) => categoryColor.domain().includes(key))),
+    transboundaryOnly: get('tb') === '1',
+    sunburstSelection: Object.keys(selection).length ? selection : null
+  };
+}
+
+function parseStateParams(params) {
+  const clampYear = (value) => Math.max(yearExtent[0], Math.min(yearExtent[1], value));
+  const year = parseInt(params.get('year'), 10);
+  const brush = (params.get('brush') || '').split('-').map((v) => parseInt(v, 10));
+  const compareSet = ['A', 'B'].includes(params.get('compare')) ? params.get('compare') : null;
+  const filtersA = parseFilterParams(params);
+  const filtersB = parseFilterParams(params, 'b.');
+  return {
+    year: Number.isFinite(year) ? clampYear(year) : yearExtent[1],
+    viewMode: params.get('view') === 'region' ? 'region' : 'category',
+    sunburstLevels: parseSunburstLevels(params.get('levels')),
+    ...(compareSet === 'B' ? filtersB : filtersA),
+    compareMode: Boolean(compareSet),
+    activeSet: compareSet ?? 'A',
+    compareSets: compareSet ? { A: filtersA, B: filtersB } : { A: null, B: null },
+    dangerStatusMode: params.get('dstatus') === 'current' ? 'current' : 'historical',
+    showDangerEvents: params.get('events') !== '0',
+    brushRange:
+      brush.length === 2 && brush.every(Number.isFinite)
+        ? [clampYear(Math.min(...brush)), clampYear(Math.max(...brush))]
+        : null,
+    pinnedSiteId: siteById.has(params.get('site')) ? params.get('site') : null,
+    profileCountry: sites.some((site) => site.countries.includes(params.get('profile'))) ? params.get('profile') : null,
+    mapClustering: params.get('cluster') !== '0',
+    mapMode: ['choropleth', 'multiples'].includes(params.get('map')) ? params.get('map') : 'points',
+    choroplethMetric: choroplethMetrics[params.get('metric')] ? params.get('metric') : 'count',
+    mapFacet: mapFacets[params.get('facet')] ? params.get('facet') : 'decade',
+    timelineMode: ['cumulative', 'normalized', 'stream'].includes(params.get('tmode')) ? params.get('tmode') : 'annual',
+    timelineScale: params.get('tscale') === 'log' ? 'log' : 'linear',
+    dangerSort: ['first', 'duration', 'region'].includes(params.get('dsort')) ? params.get('dsort') : 'first'
+  };
+}
+
+function parseSunburstLevels(value) {
+  const levels = Array.from(new Set((value || '').split(','))).filter((level) => hierarchyLevels[level]);
+  return levels.length ? levels : DEFAULT_SUNBURST_LEVELS;
+}
+
+function restoreUrlState(hash = window.location.hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  restoringUrlState = true;
+  Object.assign(state, parseStateParams(params));
+  syncControlsToState();
+  syncBrushToState();
+  restoringUrlState = false;
+}
+
+function syncUrlState() {
+  if (restoringUrlState) return;
+  const hash = `#${serializeState()}`;
+  if (hash === window.location.hash) return;
+  const now = Date.now();
+  // Slider drags, typing and playback produce bursts of renders; fold each burst into one history entry.
+  const replace = !lastHistoryWrite || state.playing || now - lastHistoryWrite < HISTORY_COALESCE_MS;
+  if (replace) {
+    window.history.replaceState(null, '', hash);
+  } else {
+    window.history.pushState(null, '', hash);
+  }
+  lastHistoryWrite = now;
+}
+
+function syncBrushToState() {
+  if (!timelineBrushGroup) return;
+  const selection = state.brushRange ? state.brushRange.map((year) => timelineScales.x(year)) : null;
+  timelineBrushGroup.call(timelineBrush.move, selection);
+}
+
+// Saved views are URL-state snapshots, so anything a shared link restores a saved view restores too.
+function setupSavedViews() {
+  savedViews = readSavedViews();
+  renderSavedViews();
+
+  d3.select('#saveViewForm').on('submit', (event) => {
+    event.preventDefault();
+    const nameInput = document.getElementById('savedViewName');
+    const noteInput = document.getElementById('savedViewNote');
+    saveCurrentView(nameInput.value.trim() || t('saved.defaultName', { year: state.year }), noteInput.value.trim());
+    nameInput.value = '';
+    noteInput.value = '';
+  });
+
+  d3.select('#savedViewList')
+    .on('click', (event) => {
+      const button = event.target.closest('[data-action]');
+      if (!button) return;
+      const index = savedViews.findIndex((view) => view.id === button.closest('.saved-view').dataset.id);
+      handleSavedViewAction(button.dataset.action, index);
+    })
+    .on('change', (event) => {
+      const field = event.target.dataset.field;
+      const view = savedViews.find((item) => item.id === event.target.closest('.saved-view')?.dataset.id);
+      if (!field || !view) return;
+      view[field] = event.target.value.trim() || (field === 'name' ? view.name : '');
+      view.updated = new Date().toISOString();
+      writeSavedViews();
+      renderSavedViews();
+    });
+
+  d3.select('#exportSavedViews').on('click', () => {
+    const library = { type: 'whc-explorer-views', version: 1, exported: new Date().toISOString(), views: savedViews };
+    downloadFile(JSON.stringify(library, null, 2), 'whc-saved-views.json', 'application/json');
+  });
+
+  d3.select('#importSavedViews').on('change', (event) => {
+    const [file] = event.target.files;
+    if (file) importSavedViews(file);
+    event.target.value = '';
+  });
+}
+
+function readSavedViews() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(SAVED_VIEWS_KEY));
+    return (stored?.views ?? []).filter(isSavedView);
+  } catch (error) {
+    console.warn('Ignoring unreadable saved views', error);
+    return [];
+  }
+}
+
+function writeSavedViews() {
+  try {
+    window.localStorage.setItem(SAVED_VIEWS_KEY, JSON.stringify({ version: 1, views: savedViews }));
+    return true;
+  } catch (error) {
+    setSavedViewsStatus(t('saved.storageFull'));
+    return false;
+  }
+}
+
+function isSavedView(view) {
+  return Boolean(view) && typeof view.id === 'string' && typeof view.name === 'string' && typeof view.hash === 'string';
+}
+
+function saveCurrentView(name, note) {
+  const now = new Date().toISOString();
+  const view = {
+    id: `view-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    name,
+    note,
+    hash: serializeState(),
+    thumbnail: null,
+    created: now,
+    updated: now
+  };
+  savedViews.unshift(view);
+  writeSavedViews();
+  renderSavedViews();
+  setSavedViewsStatus(t('saved.saved', { name }));
+  captureThumbnail()
+    .then((thumbnail) => {
+      view.thumbnail = thumbnail;
+      // A thumbnail is a nicety; keep the view even if storage has no room for the image.
+      if (!writeSavedViews()) {
+        view.thumbnail = null;
+        writeSavedViews();
+      }
+      renderSavedViews();
+    })
+    .catch((error) => console.warn('Saved view without a thumbnail', error));
+}
+
+function captureThumbnail() {
+  const { svg, width, height } = buildStandaloneSvg('map');
+  const markup = new XMLSerializer().serializeToString(svg.node());
+  return rasterizeSvg(markup, width, height, SAVED_VIEW_THUMB_WIDTH / width).then(
+    (blob) =>
+      new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+      })
+  );
+}
+
+function handleSavedViewAction(action, index) {
+  const view = savedViews[index];
+  if (!view) return;
+  if (action === 'open') {
+    stopPlayback();
+    restoreUrlState(`#${view.hash}`);
+    updateLegends();
+    render();
+    setSavedViewsStatus(t('saved.opened', { name: view.name }));
+    return;
+  }
+  if (action === 'delete') {
+    if (!window.confirm(t('saved.confirmDelete', { name: view.name }))) return;
+    savedViews.splice(index, 1);
+  } else {
+    const target = index + (action === 'up' ? -1 : 1);
+    if (target < 0 || target >= savedViews.length) return;
+    [savedViews[index], savedViews[target]] = [savedViews[target], savedViews[index]];
+  }
+  writeSavedViews();
+  renderSavedViews();
+}
+
+function importSavedViews(file) {
+  file
+    .text()
+    .then((text) => {
+      const parsed = JSON.parse(text);
+      const incoming = (Array.isArray(parsed) ? parsed : parsed?.views ?? []).filter(isSavedView);
+      if (!incoming.length) throw new Error(t('saved.noViews'));
+      const known = new Set(savedViews.map((view) => view.id));
+      const added = incoming
+        .filter((view) => !known.has(view.id))
+        .map((view) => ({
+          id: view.id,
+          name: view.name,
+          note: typeof view.note === 'string' ? view.note : '',
+          hash: view.hash.replace(/^#/, ''),
+          thumbnail: typeof view.thumbnail === 'string' && view.thumbnail.startsWith('data:image/') ? view.thumbnail : null,
+          created: view.created ?? new Date().toISOString(),
+          updated: view.updated ?? view.created ?? new Date().toISOString()
+        }));
+      savedViews.push(...added);
+      writeSavedViews();
+      renderSavedViews();
+      const skipped = incoming.length - added.length;
+      setSavedViewsStatus(
+        t(skipped ? 'saved.importedSkipped' : 'saved.imported', { count: added.length, file: file.name, skipped })
+      );
+    })
+    .catch((error) => setSavedViewsStatus(t('saved.importFailed', { file: file.name, message: error.message })));
+}
+
+function renderSavedViews() {
+  const items = d3
+    .select('#savedViewList')
+    .selectAll('li.saved-view')
+    .data(savedViews, (d) => d.id)
+    .join((enter) => {
+      const item = enter.append('li').attr('class', 'saved-view');
+      item.append('img').attr('class', 'saved-thumb').attr('alt', '');
+      const body = item.append('div').attr('class', 'saved-body');
+      body.append('input').attr('type', 'text').attr('data-field', 'name');
+      body.append('input').attr('type', 'text').attr('data-field', 'note');
+      body.append('small');
+      const actions = item.append('div').attr('class', 'saved-actions');
+      actions.append('button').attr('type', 'button').attr('data-action', 'open');
+      actions.append('button').attr('type', 'button').attr('data-action', 'up').text('↑');
+      actions.append('button').attr('type', 'button').attr('data-action', 'down').text('↓');
+      actions.append('button').attr('type', 'button').attr('data-action', 'delete').text('✕');
+      return item;
+    })
+    .attr('data-id', (d) => d.id)
+    .order();
+  items.select('[data-field="name"]').attr('aria-label', t('saved.viewName'));
+  items.select('[data-field="note"]').attr('aria-label', t('saved.viewNote')).attr('placeholder', t('saved.addNote'));
+  items.select('[data-action="open"]').text(t('saved.open'));
+  items.select('[data-action="up"]').attr('aria-label', t('common.moveUp'));
+  items.select('[data-action="down"]').attr('aria-label', t('common.moveDown'));
+  items.select('[data-action="delete"]').attr('aria-label', t('common.delete'));
+  items
+    .select('.saved-thumb')
+    .attr('src', (d) => d.thumbnail)
+    .attr('hidden', (d) => (d.thumbnail ? null : true));
+  items.select('[data-field="name"]').property('value', (d) => d.name);
+  items.select('[data-field="note"]').property('value', (d) => d.note);
+  items.select('small').text((d) => t('saved.savedOn', { date: new Date(d.created).toLocaleDateString(uiLocale) }));
+  items.select('[data-action="up"]').property('disabled', (d, i) => i === 0);
+  items.select('[data-action="down"]').property('disabled', (d, i) => i === savedViews.length - 1);
+  d3.select('#exportSavedViews').property('disabled', !savedViews.length);
+  d3.select('#savedViewsEmpty').attr('hidden', savedViews.length ? true : null);
+}
+
+function setSavedViewsStatus(message) {
+  d3.select('#savedViewsStatus').text(message);
+}
+
+// A story is a list of steps, each a URL-state snapshot plus an annotation and an optional callout on the map or
+// timeline. Steps take the same `state` a shared link would, either as a hash string or as an object of params.
+function setupStoryMode() {
+  d3.select('#storySample').on('click', () => {
+    d3.json(STORY_URL)
+      .then(startStory)
+      .catch((error) => setStoryStatus(t('story.sampleFailed', { message: error.message })));
+  });
+
+  d3.select('#storyFile').on('change', (event) => {
+    const [file] = event.target.files;
+    if (file) {
+      file
+        .text()
+        .then((text) => startStory(JSON.parse(text)))
+        .catch((error) => setStoryStatus(t('story.loadFailed', { file: file.name, message: error.message })));
+    }
+    event.target.value = '';
+  });
+
+  d3.select('#storyAuthor').on('click', () => {
+    document.getElementById('storyAuthoring').open = true;
+    updateStoryPanel();
+    document.getElementById('storyStepTitleInput').focus();
+  });
+  d3.select('#storyAuthoring').on('toggle', updateStoryPanel);
+
+  d3.select('#storyPrev').on('click', () => showStoryStep(storyIndex - 1));
+  d3.select('#storyNext').on('click', () => showStoryStep(storyIndex + 1));
+  d3.select('#storyExit').on('click', exitStory);
+
+  d3.select('#storyDraftTitle').on('change', (event) => {
+    storyDraft.title = event.target.value.trim();
+  });
+  d3.select('#storyCapture').on('click', captureStoryStep);
+  d3.select('#storyPreview').on('click', () => startStory(storyDraft));
+  d3.select('#storyDownload').on('click', () => {
+    const draft = { title: storyDraft.title || t('story.untitled'), steps: storyDraft.steps };
+    downloadFile(JSON.stringify(draft, null, 2), 'whc-story.json', 'application/json');
+  });
+  d3.select('#storyClearDraft').on('click', () => {
+    if (!window.confirm(t('story.confirmClear'))) return;
+    storyDraft.steps = [];
+    updateStoryDraftStatus();
+  });
+
+  // Callouts follow their anchor while the map zooms to a step's site.
+  mapZoom.on('zoom.story', positionStoryCallout);
+  d3.select(window).on('resize.story', positionStoryCallout);
+  updateStoryDraftStatus();
+}
+
+function normalizeStory(json) {
+  const steps = (Array.isArray(json?.steps) ? json.steps : []).filter(
+    (step) => typeof step?.state === 'string' || (step?.state && typeof step.state === 'object')
+  );
+  if (!steps.length) throw new Error(t('story.noSteps'));
+  return { title: typeof json.title === 'string' && json.title ? json.title : t('story.untitled'), steps };
+}
+
+function startStory(json) {
+  try {
+    story = normalizeStory(json);
+  } catch (error) {
+    setStoryStatus(t('story.startFailed', { message: error.message }));
+    return;
+  }
+  setStoryStatus(t('story.playing', { title: story.title, count: story.steps.length }));
+  showStoryStep(0);
+  document.getElementById('storyNext').focus();
+}
+
+function exitStory() {
+  storyYearTimer?.stop();
+  storyYearTimer = null;
+  story = null;
+  d3.select('#storyCallout').attr('hidden', true);
+  updateStoryPanel();
+  setStoryStatus('');
+}
+
+function storyStepHash(step) {
+  const params =
+    typeof step.state === 'string'
+      ? new URLSearchParams(step.state.replace(/^#/, ''))
+      : new URLSearchParams(
+          Object.entries(step.state).map(([key, value]) => [key, Array.isArray(value) ? value.join(',') : String(value)])
+        );
+  return `#${params}`;
+}
+
+function showStoryStep(index) {
+  if (!story) return;
+  storyIndex = Math.max(0, Math.min(story.steps.length - 1, index));
+  const fromYear = state.year;
+  stopPlayback();
+  storyYearTimer?.stop();
+  storyYearTimer = null;
+  d3.select('#storyCallout').attr('hidden', true);
+  restoreUrlState(storyStepHash(story.steps[storyIndex]));
+  updateLegends();
+  updateStoryPanel();
+  animateStoryYear(fromYear, state.year);
+}
+
+// Walk the year towards the step's year so the map and timeline visibly travel there instead of jumping.
+function animateStoryYear(fromYear, toYear) {
+  const frames = Math.min(STORY_YEAR_FRAMES, Math.abs(toYear - fromYear));
+  let frame = 0;
+  const advance = () => {
+    state.year = frames ? Math.round(fromYear + ((toYear - fromYear) * frame) / frames) : toYear;
+    updateYearSlider();
+    render();
+    if (frame++ < frames) return;
+    storyYearTimer?.stop();
+    storyYearTimer = null;
+    finishStoryStep();
+  };
+  advance();
+  if (frame <= frames) storyYearTimer = d3.interval(advance, STORY_FRAME_MS);
+}
+
+function finishStoryStep() {
   const svg = d3.select('#map');
-  const { width, height } = getDimensions(svg.node());
-  svg.attr('viewBox', `0 0 ${width} ${height}`);
+  const site = getPinnedSite();
+  if (site) {
+    focusSiteOnMap(site);
+  } else {
+    svg.transition().duration(600).call(mapZoom.transform, d3.zoomIdentity);
+  }
+  positionStoryCallout();
+}
 
-  mapProjection = d3.geoEqualEarth().fitSize([width, height], { type: 'Sphere' });
-  mapPath = d3.geoPath(mapProjection);
+function updateStoryPanel() {
+  const step = story?.steps[storyIndex];
+  d3.select('#storyPanel').attr('hidden', step || document.getElementById('storyAuthoring').open ? null : true);
+  d3.select('#storyPlayer').attr('hidden', step ? null : true);
+  if (!step) return;
+  d3.select('#storyTitle').text(story.title);
+  d3.select('#storyProgress').text(t('story.progress', { step: storyIndex + 1, count: story.steps.length }));
+  d3.select('#storyStepTitle').text(step.title ?? '');
+  d3.select('#storyStepText').text(step.annotation ?? '');
+  d3.select('#storyPrev').property('disabled', storyIndex === 0);
+  d3.select('#storyNext').property('disabled', storyIndex === story.steps.length - 1);
+}
 
+function positionStoryCallout() {
+  const step = story?.steps[storyIndex];
+  const point = step?.callout && !storyYearTimer ? storyCalloutPoint(step.callout) : null;
+  const callout = d3.select('#storyCallout').attr('hidden', point ? null : true);
+  if (!point) return;
+  callout
+    .attr('data-view', step.callout.view)
+    .style('left', `${point[0]}px`)
+    .style('top', `${point[1]}px`)
+    .text(step.callout.label ?? step.title ?? '');
+}
+
+function storyCalloutPoint(callout) {
+  if (callout.view === 'timeline') {
+    const year = Number(callout.year ?? state.year);
+    if (!Number.isFinite(year)) return null;
+    return svgPointToPage(document.getElementById('timeline'), timelineScales.x(year), timelineScales.y.range()[1]);
+  }
+  if (callout.view === 'map' && state.mapMode !== 'multiples') {
+    const site = siteById.get(callout.site);
+    const coordinates = site ? [site.lon, site.lat] : [Number(callout.lon), Number(callout.lat)];
+    if (!coordinates.every(Number.isFinite)) return null;
+    const svg = document.getElementById('map');
+    const [x, y] = d3.zoomTransform(svg).apply(mapProjection(coordinates));
+    if (x < 0 || y < 0 || x > mapSize.width || y > mapSize.height) return null;
+    return svgPointToPage(svg, x, y);
+  }
+  return null;
+}
+
+// Maps a viewBox point to page coordinates, allowing for the default xMidYMid meet letterboxing.
+function svgPointToPage(svg, x, y) {
+  const [, , width, height] = svg.getAttribute('viewBox').split(' ').map(Number);
+  const rect = svg.getBoundingClientRect();
+  const scale = Math.min(rect.width / width, rect.height / height);
+  return [
+    rect.left + window.scrollX + (rect.width - width * scale) / 2 + x * scale,
+    rect.top + window.scrollY + (rect.height - height * scale) / 2 + y * scale
+  ];
+}
+
+function captureStoryStep() {
+  const titleInput = document.getElementById('storyStepTitleInput');
+  const textInput = document.getElementById('storyStepTextInput');
+  const calloutView = document.getElementById('storyCalloutView').value;
+  const step = {
+    title: titleInput.value.trim() || t('story.defaultStepTitle', { step: storyDraft.steps.length + 1 }),
+    annotation: textInput.value.trim(),
+    state: serializeState()
+  };
+  if (calloutView === 'timeline') {
+    step.callout = { view: 'timeline', year: state.year };
+  } else if (calloutView === 'map') {
+    const site = getPinnedSite();
+    step.callout = site ? { view: 'map', site: site.id } : { view: 'map', ...mapCentre() };
+  }
+  storyDraft.steps.push(step);
+  titleInput.value = '';
+  textInput.value = '';
+  updateStoryDraftStatus();
+}
+
+function mapCentre() {
+  const svg = document.getElementById('map');
+  const point = d3.zoomTransform(svg).invert([mapSize.width / 2, mapSize.height / 2]);
+  const [lon, lat] = mapProjection.invert(point);
+  return { lon: Math.round(lon * 100) / 100, lat: Math.round(lat * 100) / 100 };
+}
+
+function updateStoryDraftStatus() {
+  const count = storyDraft.steps.length;
+  d3.select('#storyDraftStatus').text(count ? t('story.draftCount', { count }) : t('story.draftEmpty'));
+  d3.selectAll('#storyPreview, #storyDownload, #storyClearDraft').property('disabled', !count);
+}
+
+function setStoryStatus(message) {
+  d3.select('#storyStatus').text(message);
+}
+
+function initMap() {
+  const svg = d3.select('#map');
   const defs = svg.append('defs');
   const gradient = defs.append('radialGradient').attr('id', 'oceanGradient');
   gradient
@@ -301,110 +2190,1032 @@ function initMap() {
     .attr('offset', '100%')
     .attr('stop-color', '#020617');
 
-  svg
+  mapBaseLayer = svg.append('g').attr('class', 'map-base');
+
+  mapBaseLayer
     .append('path')
     .attr('class', 'sphere')
-    .attr('d', mapPath({ type: 'Sphere' }))
     .attr('fill', 'url(#oceanGradient)');
 
-  svg
+  mapBaseLayer
     .append('path')
     .attr('class', 'graticule')
-    .attr('d', mapPath(d3.geoGraticule10()))
     .attr('fill', 'none')
     .attr('stroke', 'rgba(148, 163, 184, 0.2)')
     .attr('stroke-width', 0.5);
 
-  svg
+  mapCountrySelection = mapBaseLayer
     .append('g')
     .attr('class', 'countries')
     .selectAll('path')
     .data(worldGeo.features)
     .join('path')
-    .attr('d', mapPath)
-    .attr('fill', 'rgba(15, 23, 42, 0.8)')
+    .attr('fill', COUNTRY_BASE_FILL)
     .attr('stroke', 'rgba(148, 163, 184, 0.2)')
-    .attr('stroke-width', 0.5);
+    .attr('stroke-width', 0.5)
+    .on('mouseenter', (event, d) => {
+      if (state.mapMode === 'choropleth') showCountryTooltip(event, d);
+    })
+    .on('mousemove', (event) => {
+      if (state.mapMode === 'choropleth') moveTooltip(event);
+    })
+    .on('mouseleave', hideTooltip)
+    .on('click', (event, d) => {
+      if (state.mapMode === 'choropleth') selectCountryFeature(d);
+    });
 
+  // Inside the basemap so the links pan and zoom with it.
+  mapTransboundaryLayer = mapBaseLayer.append('g').attr('class', 'transboundary-links');
   mapSiteLayer = svg.append('g').attr('class', 'sites');
+  mapClusterLayer = svg.append('g').attr('class', 'clusters');
+  mapPulseLayer = svg.append('g').attr('class', 'map-pulses').attr('aria-hidden', 'true');
+  mapPinLayer = svg.append('g').attr('class', 'pinned-site');
+
+  // Only the basemap is scaled; sites are re-positioned in screen space so radius and clustering stay semantic.
+  mapZoom = d3
+    .zoom()
+    .scaleExtent([1, MAP_MAX_ZOOM])
+    .on('zoom', ({ transform }) => {
+      mapBaseLayer.attr('transform', transform);
+      drawMapPoints();
+    });
+  layoutMap();
+  svg.call(mapZoom);
+}
+
+// Refits the projection to the current box; a zoomed-in map keeps the same place in the middle at the same scale.
+function layoutMap() {
+  const svg = d3.select('#map');
+  const { width, height } = getDimensions(svg.node());
+  const transform = d3.zoomTransform(svg.node());
+  const centre = mapProjection?.invert(transform.invert([mapSize.width / 2, mapSize.height / 2]));
+  svg.attr('viewBox', `0 0 ${width} ${height}`);
+  mapSize = { width, height };
+
+  mapProjection = d3.geoEqualEarth().fitSize([width, height], { type: 'Sphere' });
+  mapPath = d3.geoPath(mapProjection);
+  mapBaseLayer.select('.sphere').attr('d', mapPath({ type: 'Sphere' }));
+  mapBaseLayer.select('.graticule').attr('d', mapPath(d3.geoGraticule10()));
+  mapCountrySelection.attr('d', mapPath);
+  mapTransboundaryLayer.selectAll('path').attr('d', mapPath);
+
+  mapZoom
+    .extent([
+      [0, 0],
+      [width, height]
+    ])
+    .translateExtent([
+      [0, 0],
+      [width, height]
+    ]);
+  if (!centre || transform.k === 1) return;
+  const [x, y] = mapProjection(centre);
+  svg.call(mapZoom.transform, d3.zoomIdentity.translate(width / 2, height / 2).scale(transform.k).translate(-x, -y));
+}
+
+// Charts draw in viewBox units equal to their on-screen size, so a size change lays them out again instead of stretching.
+function setupResponsiveLayout() {
+  const layouts = new Map([
+    [document.getElementById('map'), layoutMap],
+    [document.getElementById('timeline'), layoutTimeline],
+    [document.getElementById('sunburst'), layoutSunburst],
+    [document.getElementById('network'), layoutNetwork],
+    [document.getElementById('criteriaMatrix'), layoutCriteriaMatrix],
+    [document.getElementById('criteriaTrends'), layoutCriteriaTrends],
+    [document.getElementById('dangerLanes'), layoutDangerLanes],
+    // The grid is sized as it is drawn, so the render below is all it needs.
+    [document.getElementById('mapMultiples'), () => {}]
+  ]);
+  const pending = new Set();
+  let frame = null;
+  const observer = new ResizeObserver((entries) => {
+    entries.forEach(({ target }) => {
+      // Hidden views have no box to fit; they are laid out when they are shown again.
+      if (!target.getBoundingClientRect().width) return;
+      const [, , width, height] = (target.getAttribute('viewBox') ?? '0 0 0 0').split(' ').map(Number);
+      const size = getDimensions(target);
+      if (Math.round(size.width) !== Math.round(width) || Math.round(size.height) !== Math.round(height)) pending.add(target);
+    });
+    if (!pending.size || frame) return;
+    frame = window.requestAnimationFrame(() => {
+      frame = null;
+      pending.forEach((node) => layouts.get(node)());
+      pending.clear();
+      render();
+      positionStoryCallout();
+    });
+  });
+  layouts.forEach((layout, node) => observer.observe(node));
+
+  const controls = d3.select('#controls');
+  const setCollapsed = (collapsed) => {
+    controls.classed('collapsed', collapsed);
+    d3.select('#controlsToggle').attr('aria-expanded', String(!collapsed));
+  };
+  d3.select('#controlsToggle').on('click', () => setCollapsed(!controls.classed('collapsed')));
+  setCollapsed(MOBILE_LAYOUT.matches);
+  MOBILE_LAYOUT.addEventListener('change', (event) => setCollapsed(event.matches));
+  TOUCH_POINTER.addEventListener('change', (event) => {
+    timelineBrushGroup.call(timelineBrush.handleSize(event.matches ? 24 : 6));
+  });
+}
+
+function setupMapControls() {
+  const svg = d3.select('#map');
+  d3.select('#mapZoomIn').on('click', () => svg.transition().duration(300).call(mapZoom.scaleBy, 2));
+  d3.select('#mapZoomOut').on('click', () => svg.transition().duration(300).call(mapZoom.scaleBy, 0.5));
+  d3.select('#mapZoomReset').on('click', () =>
+    svg.transition().duration(500).call(mapZoom.transform, d3.zoomIdentity)
+  );
+  d3.select('#mapClustering').on('change', (event) => {
+    state.mapClustering = event.target.checked;
+    render();
+  });
+  d3.select('#mapMode').on('change', (event) => {
+    state.mapMode = event.target.value;
+    syncMapModeControls();
+    render();
+  });
+  d3.select('#choroplethMetric').on('change', (event) => {
+    state.choroplethMetric = event.target.value;
+    render();
+  });
+  d3.select('#mapFacet').on('change', (event) => {
+    state.mapFacet = event.target.value;
+    render();
+  });
+}
+
+function focusSiteOnMap(site) {
+  const svg = d3.select('#map');
+  const [x, y] = projectSite(site);
+  const k = Math.max(d3.zoomTransform(svg.node()).k, 6);
+  const transform = d3.zoomIdentity
+    .translate(mapSize.width / 2, mapSize.height / 2)
+    .scale(k)
+    .translate(-x, -y);
+  svg.transition().duration(600).call(mapZoom.transform, transform);
+  if (state.pinnedSiteId !== site.id) pinSite(site);
+}
+
+function syncMapModeControls() {
+  d3.select('#mapMode').property('value', state.mapMode);
+  d3.select('#choroplethMetric')
+    .property('value', state.choroplethMetric)
+    .property('hidden', state.mapMode !== 'choropleth');
+  d3.select('#mapFacet')
+    .property('value', state.mapFacet)
+    .property('hidden', state.mapMode !== 'multiples');
+  d3.selectAll('#mapZoomIn, #mapZoomOut, #mapZoomReset').property('hidden', state.mapMode === 'multiples');
+  d3.select('#mapClustering').property('checked', state.mapClustering);
+  d3.select('#mapClustering').node().closest('label').hidden = state.mapMode !== 'points';
+}
+
+function projectSite(d) {
+  return mapProjection([d.lon, d.lat]);
 }
 
 function updateMap(data) {
+  mapData = data;
+  const multiples = state.mapMode === 'multiples';
+  d3.select('#map').style('display', multiples ? 'none' : null);
+  d3.select('#mapMultiples').style('display', multiples ? null : 'none');
+  updateChoropleth(data);
+  drawTransboundaryLinks(data);
+  drawMapPoints({ animate: true });
+  if (multiples) drawMapMultiples(data);
+}
+
+// Joins each transboundary site to the other States Parties it is shared with.
+function drawTransboundaryLinks(data) {
+  const links = data.filter((site) => site.featureIds?.length > 1).flatMap(siteTransboundaryLinks);
+  mapTransboundaryLayer
+    .style('display', state.mapMode === 'points' ? null : 'none')
+    .selectAll('path')
+    .data(links, (d) => d.id)
+    .join('path')
+    .attr('class', 'transboundary-link')
+    .attr('stroke', (d) => siteFill(d.site))
+    .attr('d', (d) => mapPath(d.geometry));
+}
+
+// Which member states a site lies outside of never changes, so the point-in-polygon tests run once per site.
+function siteTransboundaryLinks(site) {
+  if (!siteLinkCache.has(site)) {
+    const links = site.featureIds
+      .filter((id) => !d3.geoContains(featureAnchor(id).feature, [site.lon, site.lat]))
+      .map((id) => ({ id: `${site.id}:${id}`, site, geometry: { type: 'LineString', coordinates: [[site.lon, site.lat], featureAnchor(id).centroid] } }));
+    siteLinkCache.set(site, links);
+  }
+  return siteLinkCache.get(site);
+}
+
+// Centroid of a country's largest polygon, so overseas territories don't pull the anchor out to sea.
+function featureAnchor(id) {
+  if (!featureAnchors.has(id)) {
+    const feature = worldGeo.features.find((f) => f.id === id);
+    const { geometry } = feature;
+    const main =
+      geometry.type === 'MultiPolygon'
+        ? { type: 'Polygon', coordinates: d3.greatest(geometry.coordinates, (polygon) => d3.geoArea({ type: 'Polygon', coordinates: polygon })) }
+        : geometry;
+    featureAnchors.set(id, { feature, centroid: d3.geoCentroid(main) });
+  }
+  return featureAnchors.get(id);
+}
+
+// One mini map per facet value, laid out in as many columns as fit; the basemaps are only redrawn when the grid changes.
+function drawMapMultiples(data) {
+  const svg = d3.select('#mapMultiples');
+  const facet = mapFacets[state.mapFacet];
+  const present = new Set(sites.map(facet.value));
+  const keys = facet.keys().filter((key) => present.has(key));
+  const { width } = getDimensions(svg.node());
+  const columns = Math.max(1, Math.min(keys.length, Math.floor(width / MAP_MULTIPLES_MIN_WIDTH)));
+  const panelWidth = width / columns;
+  const mapWidth = panelWidth - 8;
+  // Equal Earth is roughly twice as wide as it is tall.
+  const mapHeight = mapWidth / 2;
+  const panelHeight = MAP_MULTIPLES_TITLE + mapHeight + 12;
+  const height = Math.ceil(keys.length / columns) * panelHeight;
+  svg.attr('viewBox', `0 0 ${width} ${height}`).style('height', `${height}px`);
+
+  const layout = `${state.mapFacet}:${width}:${keys.join(',')}`;
+  const relayout = svg.node().__layout !== layout;
+  svg.node().__layout = layout;
+  const membersByKey = d3.group(data, facet.value);
+
+  const panels = svg
+    .selectAll('g.map-multiple')
+    .data(keys, (key) => key)
+    .join((enter) => {
+      const panel = enter.append('g').attr('class', 'map-multiple');
+      panel.append('text').attr('class', 'map-multiple-title').attr('x', 4).attr('y', 13);
+      panel.append('clipPath').append('rect');
+      const body = panel.append('g').attr('class', 'map-multiple-body');
+      body.append('path').attr('class', 'sphere').attr('fill', '#020617');
+      body
+        .append('g')
+        .attr('class', 'countries')
+        .selectAll('path')
+        .data(worldGeo.features)
+        .join('path')
+        .attr('fill', COUNTRY_BASE_FILL)
+        .attr('stroke', 'rgba(148, 163, 184, 0.2)')
+        .attr('stroke-width', 0.5);
+      body.append('g').attr('class', 'map-multiple-sites');
+      body.append('circle').attr('class', 'pin-ring multiples-hover').attr('r', MAP_MULTIPLES_RADIUS + 3).style('display', 'none');
+      return panel;
+    })
+    .attr('transform', (key, i) => `translate(${(i % columns) * panelWidth}, ${Math.floor(i / columns) * panelHeight})`);
+
+  panels
+    .select('.map-multiple-title')
+    .text((key) => `${facet.format(key)} · ${t('count.sites', { count: (membersByKey.get(key)?.length ?? 0).toLocaleString(uiLocale) })}`);
+
+  if (relayout) {
+    panels.each(function (key, i) {
+      const panel = d3.select(this);
+      const projection = mapMultipleProjection(facet, key, mapWidth, mapHeight);
+      const path = d3.geoPath(projection);
+      this.__projection = projection;
+      panel
+        .select('clipPath')
+        .attr('id', `map-multiple-clip-${i}`)
+        .select('rect')
+        .attr('width', mapWidth)
+        .attr('height', mapHeight);
+      const body = panel
+        .select('.map-multiple-body')
+        .attr('transform', `translate(4, ${MAP_MULTIPLES_TITLE})`)
+        .attr('clip-path', `url(#map-multiple-clip-${i})`);
+      body.select('.sphere').attr('d', path({ type: 'Sphere' }));
+      body.selectAll('.countries path').attr('d', path);
+    });
+  }
+
+  panels.each(function (key) {
+    const projection = this.__projection;
+    d3.select(this)
+      .select('.map-multiple-sites')
+      .selectAll('circle')
+      .data(membersByKey.get(key) ?? [], (d) => d.id)
+      .join('circle')
+      .attr('class', 'site-point')
+      .attr('r', MAP_MULTIPLES_RADIUS)
+      .attr('cx', (d) => projection([d.lon, d.lat])[0])
+      .attr('cy', (d) => projection([d.lon, d.lat])[1]);
+  });
+
+  mapMultiplesSelection = panels
+    .selectAll('.map-multiple-sites circle')
+    .classed('danger', (d) => isInDanger(d))
+    .classed('pinned', (d) => d.id === state.pinnedSiteId)
+    .attr('fill', siteFill)
+    .on('mouseenter', (event, d) => {
+      highlightMultiplesSite(d);
+      showTooltip(event, d);
+    })
+    .on('mousemove', (event) => moveTooltip(event))
+    .on('mouseleave', () => {
+      highlightMultiplesSite(null);
+      hideTooltip();
+    })
+    .on('click', (event, d) => pinSite(d));
+}
+
+function mapMultipleProjection(facet, key, width, height) {
+  const projection = d3.geoEqualEarth();
+  const coordinates = facet.zoom ? sites.filter((site) => facet.value(site) === key).map((site) => [site.lon, site.lat]) : [];
+  if (coordinates.length < 2) return projection.fitSize([width, height], { type: 'Sphere' });
+  // Centre on the panel's mean longitude so a region that straddles the antimeridian stays in one piece.
+  const radians = coordinates.map(([lon]) => (lon * Math.PI) / 180);
+  const longitude = (Math.atan2(d3.sum(radians, Math.sin), d3.sum(radians, Math.cos)) * 180) / Math.PI;
+  projection.rotate([-longitude, 0]).fitExtent(
+    [
+      [12, 12],
+      [width - 12, height - 12]
+    ],
+    { type: 'MultiPoint', coordinates }
+  );
+  return Number.isFinite(projection.scale()) ? projection : projection.rotate([0, 0]).fitSize([width, height], { type: 'Sphere' });
+}
+
+// Rings the hovered site in every panel, so its place can be compared across decades, categories or regions.
+function highlightMultiplesSite(site) {
+  d3.select('#mapMultiples')
+    .selectAll('g.map-multiple')
+    .each(function () {
+      const [x, y] = site ? this.__projection([site.lon, site.lat]) : [0, 0];
+      d3.select(this)
+        .select('.multiples-hover')
+        .style('display', site ? null : 'none')
+        .attr('cx', x)
+        .attr('cy', y);
+    });
+  mapMultiplesSelection.classed('hovered', (d) => d.id === site?.id);
+}
+
+function indexCountryFeatures() {
+  const featureIdByName = new Map(worldGeo.features.map((f) => [normalizeCountryName(f.properties.name), f.id]));
+  const areaById = new Map(worldGeo.features.map((f) => [f.id, d3.geoArea(f) * EARTH_RADIUS_KM ** 2]));
+  featureCountryMeta = new Map();
+  sites.forEach((site) => {
+    const isoIds = String(site.iso ?? '')
+      .toLowerCase()
+      .split(/[\s,;]+/)
+      .map((code) => isoNumericByAlpha2[code])
+      .filter(Boolean);
+    const nameIds = site.countries.map((name) => featureIdByName.get(normalizeCountryName(name)));
+    site.featureIds = Array.from(new Set(isoIds.length ? isoIds : nameIds.filter(Boolean)));
+    // Name each feature after the States Party label the sites use, so a click filters on a name the data knows.
+    site.featureIds.forEach((id, i) => {
+      if (featureCountryMeta.has(id)) return;
+      const byName = site.countries.find((name) => featureIdByName.get(normalizeCountryName(name)) === id);
+      const byIndex = site.featureIds.length === site.countries.length ? site.countries[i] : null;
+      const country = byName ?? byIndex;
+      if (country) featureCountryMeta.set(id, { country, areaKm2: areaById.get(id) });
+    });
+  });
+  worldGeo.features.forEach((f) => {
+    if (!featureCountryMeta.has(f.id)) featureCountryMeta.set(f.id, { country: null, areaKm2: areaById.get(f.id) });
+  });
+}
+
+function normalizeCountryName(name) {
+  return foldText(name).replace(/[^a-z]/g, '');
+}
+
+function aggregateByCountry(data) {
+  const stats = new Map();
+  data.forEach((site) => {
+    site.featureIds.forEach((id) => {
+      if (!stats.has(id)) {
+        stats.set(id, { total: 0, danger: 0, categories: new Map(), areaKm2: featureCountryMeta.get(id)?.areaKm2 });
+      }
+      const entry = stats.get(id);
+      entry.total += 1;
+      if (isInDanger(site)) entry.danger += 1;
+      entry.categories.set(site.category, (entry.categories.get(site.category) ?? 0) + 1);
+    });
+  });
+  return stats;
+}
+
+function dominantCategory(stats) {
+  return d3.greatest(stats.categories, ([, count]) => count)?.[0];
+}
+
+function updateChoropleth(data) {
+  const active = state.mapMode === 'choropleth';
+  const metric = choroplethMetrics[state.choroplethMetric];
+  countryStats = aggregateByCountry(data);
+  if (metric.interpolator) {
+    const max = d3.max(countryStats.values(), metric.value) || 1;
+    choroplethScale =
+      state.choroplethMetric === 'dangerShare'
+        ? d3.scaleSequential(metric.interpolator).domain([0, 1])
+        : d3.scaleSequentialSqrt(metric.interpolator).domain([0, max]);
+  } else {
+    choroplethScale = categoryColor;
+  }
+  mapCountrySelection
+    .classed('choropleth', active)
+    .classed('selected', (d) => active && isSelectedCountryFeature(d))
+    .attr('fill', (d) => {
+      const stats = countryStats.get(d.id);
+      if (!active || !stats) return COUNTRY_BASE_FILL;
+      return choroplethScale(metric.value(stats));
+    });
+  mapSiteLayer.style('display', active ? 'none' : null);
+  mapClusterLayer.style('display', active ? 'none' : null);
+  updateMapLegend();
+}
+
+function isSelectedCountryFeature(feature) {
+  const country = featureCountryMeta.get(feature.id)?.country;
+  return Boolean(country) && state.sunburstSelection?.country === country;
+}
+
+// A transboundary site is listed under one region only, so a country's sites can span regions; the region is
+// part of the filter only when all of them share it.
+function countrySelection(country) {
+  const regions = new Set(sites.filter((site) => site.countries.includes(country)).map((site) => site.region));
+  return regions.size === 1 ? { region: Array.from(regions)[0], country } : { country };
+}
+
+function selectCountryFeature(feature) {
+  const meta = featureCountryMeta.get(feature.id);
+  if (!meta?.country) return;
+  state.sunburstSelection = isSelectedCountryFeature(feature) ? null : countrySelection(meta.country);
+  if (state.sunburstSelection) state.profileCountry = meta.country;
+  hideTooltip();
+  updateBreadcrumb();
+  render();
+}
+
+function showCountryTooltip(event, feature) {
+  const meta = featureCountryMeta.get(feature.id);
+  const stats = countryStats.get(feature.id);
+  const breakdown = stats
+    ? `<ul>${categoryColor
+        .domain()
+        .filter((key) => stats.categories.has(key))
+        .map((key) => `<li>${categoryLabels[key] ?? key}: ${stats.categories.get(key)}</li>`)
+        .join('')}</ul>
+      <div>${t('map.countryDanger', { count: stats.danger, share: choroplethMetrics.dangerShare.format(stats.danger / stats.total) })}</div>
+      <div>${t('map.countryDensity', { density: choroplethMetrics.density.format(choroplethMetrics.density.value(stats)) })}</div>`
+    : `<div>${t('map.countryNoSites')}</div>`;
+  tooltip
+    .html(`
+      <h3>${escapeHtml(meta?.country ?? feature.properties.name)}</h3>
+      ${stats ? `<div>${t('count.sites', { count: stats.total.toLocaleString(uiLocale) })}</div>` : ''}
+      ${breakdown}
+      ${meta?.country ? `<div>${t('map.countryClick')}</div>` : ''}
+    `)
+    .attr('hidden', null);
+  moveTooltip(event);
+}
+
+function drawMapPoints({ animate = false } = {}) {
+  const transform = d3.zoomTransform(d3.select('#map').node());
+  const screenX = (d) => transform.applyX(projectSite(d)[0]);
+  const screenY = (d) => transform.applyY(projectSite(d)[1]);
+  const { singles, clusters } = clusterSites(mapData, transform);
+
   mapSiteSelection = mapSiteLayer
     .selectAll('circle')
-    .data(data, (d) => d.id)
+    .data(singles, (d) => d.id)
     .join(
       (enter) =>
         enter
           .append('circle')
           .attr('class', 'site-point')
-          .attr('r', 0)
-          .attr('cx', (d) => mapProjection([d.lon, d.lat])[0])
-          .attr('cy', (d) => mapProjection([d.lon, d.lat])[1])
-          .attr('fill', (d) => categoryColor(d.category))
-          .call((sel) => sel.transition().duration(400).attr('r', 4)),
+          .attr('r', animate ? 0 : MAP_POINT_RADIUS)
+          .attr('cx', screenX)
+          .attr('cy', screenY)
+          .attr('fill', siteFill)
+          .call((sel) => {
+            if (animate) sel.transition().duration(400).attr('r', MAP_POINT_RADIUS);
+          }),
       (update) => update,
-      (exit) => exit.call((sel) => sel.transition().duration(200).attr('r', 0).remove())
+      (exit) =>
+        animate ? exit.call((sel) => sel.transition().duration(200).attr('r', 0).remove()) : exit.remove()
     )
-    .classed('danger', (d) => d.danger)
-    .attr('fill', (d) => categoryColor(d.category))
-    .attr('cx', (d) => mapProjection([d.lon, d.lat])[0])
-    .attr('cy', (d) => mapProjection([d.lon, d.lat])[1])
+    .classed('danger', (d) => isInDanger(d))
+    .classed('transboundary', (d) => d.countries.length > 1)
+    .attr('fill', siteFill)
+    .attr('cx', screenX)
+    .attr('cy', screenY)
+    .attr('role', 'button')
+    .attr('aria-label', siteAriaLabel)
     .on('mouseenter', (event, d) => showTooltip(event, d))
     .on('mousemove', (event) => moveTooltip(event))
-    .on('mouseleave', hideTooltip);
+    .on('mouseleave', hideTooltip)
+    .on('click', (event, d) => {
+      event.stopPropagation();
+      pinSite(d);
+    });
+
+  const pie = d3
+    .pie()
+    .value((d) => d[1])
+    .sort(null);
+  mapClusterSelection = mapClusterLayer
+    .selectAll('g.map-cluster')
+    .data(clusters, (d) => d.id)
+    .join((enter) => {
+      const group = enter.append('g').attr('class', 'map-cluster');
+      group.append('g').attr('class', 'cluster-pie');
+      group.append('circle').attr('class', 'cluster-outline');
+      group.append('text').attr('class', 'cluster-count').attr('dy', '0.35em');
+      return group;
+    })
+    .attr('transform', (d) => `translate(${d.x}, ${d.y})`)
+    .attr('role', 'button')
+    .attr('aria-label', (d) =>
+      t('map.clusterLabel', { count: d.members.length, mix: d.mix.map(([key, count]) => `${colorKeyLabel(key)} ${count}`).join(', ') })
+    )
+    .classed('danger', (d) => d.members.some((site) => isInDanger(site)))
+    .on('mouseenter', (event, d) => showClusterTooltip(event, d))
+    .on('mousemove', (event) => moveTooltip(event))
+    .on('mouseleave', hideTooltip)
+    .on('click', (event, d) => {
+      event.stopPropagation();
+      hideTooltip();
+      expandCluster(d);
+    });
+
+  mapClusterSelection
+    .select('.cluster-pie')
+    .selectAll('path')
+    .data((d) => pie(d.mix).map((slice) => ({ ...slice, radius: clusterRadius(d) })))
+    .join('path')
+    .attr('d', (d) => d3.arc().innerRadius(0).outerRadius(d.radius)(d))
+    .attr('fill', (d) => siteColorScale()(d.data[0]));
+  mapClusterSelection.select('.cluster-outline').attr('r', clusterRadius);
+  mapClusterSelection.select('.cluster-count').text((d) => d.members.length);
+  setRovingTabindex([...mapSiteSelection.nodes(), ...mapClusterSelection.nodes()], (node) => {
+    return mapMarkKey(d3.select(node).datum()) === mapFocusKey;
+  });
+
+  updatePinnedMarker(mapData);
+  updatePinnedHighlight();
+  updateBrushHighlight();
+}
+
+function clusterSites(data, transform) {
+  if (!state.mapClustering || transform.k >= MAP_MAX_ZOOM) {
+    return { singles: data, clusters: [] };
+  }
+  // Bucket on the scaled (untranslated) projection so clusters stay put while panning.
+  const cells = d3.group(data, (d) => {
+    const [x, y] = projectSite(d);
+    return `${Math.floor((x * transform.k) / MAP_CLUSTER_CELL)}:${Math.floor((y * transform.k) / MAP_CLUSTER_CELL)}`;
+  });
+  const singles = [];
+  const clusters = [];
+  cells.forEach((members, key) => {
+    if (members.length === 1) {
+      singles.push(members[0]);
+      return;
+    }
+    const counts = d3.rollup(members, (v) => v.length, siteColorKey);
+    clusters.push({
+      id: key,
+      members,
+      x: d3.mean(members, (d) => transform.applyX(projectSite(d)[0])),
+      y: d3.mean(members, (d) => transform.applyY(projectSite(d)[1])),
+      mix: siteColorScale()
+        .domain()
+        .filter((key) => counts.has(key))
+        .map((key) => [key, counts.get(key)])
+    });
+  });
+  return { singles, clusters };
+}
+
+// In compare mode points are coloured by set membership instead of category.
+function siteColorKey(site) {
+  return state.compareMode ? compareMembership.get(site.id) : site.category;
+}
+
+function siteColorScale() {
+  return state.compareMode ? compareColor : categoryColor;
+}
+
+function siteFill(site) {
+  return siteColorScale()(siteColorKey(site));
+}
+
+function colorKeyLabel(key) {
+  return state.compareMode ? compareLabels[key] : categoryLabels[key] ?? key;
+}
+
+function clusterRadius(cluster) {
+  return Math.min(22, 6 + Math.sqrt(cluster.members.length) * 2);
+}
+
+function expandCluster(cluster) {
+  const svg = d3.select('#map');
+  const current = d3.zoomTransform(svg.node());
+  const points = cluster.members.map(projectSite);
+  const [x0, x1] = d3.extent(points, (p) => p[0]);
+  const [y0, y1] = d3.extent(points, (p) => p[1]);
+  const fit = 0.8 / Math.max((x1 - x0) / mapSize.width, (y1 - y0) / mapSize.height);
+  const k = Math.min(MAP_MAX_ZOOM, Math.max(current.k * 2, fit));
+  const transform = d3.zoomIdentity
+    .translate(mapSize.width / 2, mapSize.height / 2)
+    .scale(k)
+    .translate(-(x0 + x1) / 2, -(y0 + y1) / 2);
+  svg.transition().duration(600).call(mapZoom.transform, transform);
+}
+
+function showClusterTooltip(event, cluster) {
+  tooltip
+    .html(`
+      <h3>${t('count.sites', { count: cluster.members.length.toLocaleString(uiLocale) })}</h3>
+      <ul>${cluster.mix.map(([key, count]) => `<li>${colorKeyLabel(key)}: ${count}</li>`).join('')}</ul>
+      <div>${t('map.clusterHint')}</div>
+    `)
+    .attr('hidden', null);
+  moveTooltip(event);
+}
+
+function updatePinnedMarker(data) {
+  const pinned = getPinnedSite();
+  const filteredAway = pinned ? !data.includes(pinned) : false;
+  const transform = d3.zoomTransform(d3.select('#map').node());
+  mapPinLayer
+    .selectAll('circle')
+    .data(pinned ? [pinned] : [], (d) => d.id)
+    .join('circle')
+    .attr('class', 'pin-ring')
+    .attr('r', 8)
+    .attr('cx', (d) => transform.applyX(projectSite(d)[0]))
+    .attr('cy', (d) => transform.applyY(projectSite(d)[1]))
+    .classed('filtered-out', filteredAway);
+}
+
+function criteriaListHtml(d) {
+  return d.criteria.length
+    ? `<ul>${d.criteria
+        .map((code) => `<li><strong>${code.toUpperCase()}</strong> ${criteriaDefinitions[code]}</li>`)
+        .join('')}</ul>`
+    : `<p>${t('site.noCriteria')}</p>`;
+}
+
+function showTooltip(event, d) {
+  const criteriaHtml = criteriaListHtml(d);
+  tooltip
+    .html(`
+      <h3>${escapeHtml(d.name)}</h3>
+      <div>${escapeHtml(d.statesText)}</div>
+      <div>${d.year} ｜ ${categoryLabels[d.category] ?? d.category}</div>
+      <div>${isInDanger(d) ? `<span class="danger-pill">${t('danger.inDanger')} ${dangerStatusQualifier()}</span>` : ''}</div>
+      <div>${escapeHtml(plainText(d.description))}</div>
+      <div><strong>${t('site.criteria')}</strong>${criteriaHtml}</div>
+      <div><strong>${t('site.dangerEvents')}</strong> ${d.dangerEvents.length ? d.dangerTimeline : t('site.noDangerEvents')}</div>
+    `)
+    .style('left', `${event.pageX + 16}px`)
+    .style('top', `${event.pageY - 16}px`)
+    .attr('hidden', null);
+}
+
+function moveTooltip(event) {
+  tooltip.style('left', `${event.pageX + 16}px`).style('top', `${event.pageY - 16}px`);
+}
+
+function hideTooltip() {
+  tooltip.attr('hidden', true);
+}
+
+function getPinnedSite() {
+  return state.pinnedSiteId ? siteById.get(state.pinnedSiteId) ?? null : null;
+}
+
+function pinSite(site) {
+  state.pinnedSiteId = site && site.id !== state.pinnedSiteId ? site.id : null;
+  hideTooltip();
+  render();
+}
+
+function updateSiteDetail(data) {
+  const site = getPinnedSite();
+  if (!site) {
+    siteDetail.attr('hidden', true).html('');
+    return;
+  }
+  const filteredAway = !data.includes(site);
+  const dangerHtml = site.dangerEvents.length
+    ? `<ol class="danger-history">${site.dangerEvents
+        .map(
+          (evt) =>
+            `<li><span class="danger-event danger-event--${evt.type}">${evt.year}</span> ${
+              dangerEventLabels[evt.type] ?? evt.type
+            }</li>`
+        )
+        .join('')}</ol>`
+    : `<p>${t('site.noDangerEvents')}</p>`;
+  const unescoLink = site.idNo
+    ? `<a href="https://whc.unesco.org/en/list/${encodeURIComponent(site.idNo)}/" target="_blank" rel="noopener noreferrer">${t('site.unescoLink')}</a>`
+    : '';
+  siteDetail
+    .classed('filtered-out', filteredAway)
+    .attr('hidden', null)
+    .html(`
+      <div class="detail-header">
+        <h3>${escapeHtml(site.name)}</h3>
+        <button type="button" data-action="unpin" aria-label="${t('site.close')}">✕</button>
+      </div>
+      ${filteredAway ? `<p class="detail-note">${t('site.filteredOut')}</p>` : ''}
+      ${site.url ? `<img src="${escapeHtml(site.url)}" alt="${escapeHtml(site.name)}" loading="lazy" />` : ''}
+      <dl>
+        <dt>${t('site.statesParties')}</dt><dd>${site.countries
+          .map((country) => `<button type="button" class="link-button" data-country="${escapeHtml(country)}">${escapeHtml(country)}</button>`)
+          .join(', ')}</dd>
+        <dt>${t('site.isoCodes')}</dt><dd>${site.iso ? escapeHtml(String(site.iso).toUpperCase()) : '—'}</dd>
+        <dt>${t('site.region')}</dt><dd>${escapeHtml(regionLabel(site.region))}</dd>
+        <dt>${t('site.inscribed')}</dt><dd>${site.year} ｜ ${categoryLabels[site.category] ?? site.category}</dd>
+        <dt>${t('site.status')}</dt><dd>${
+          isInDanger(site) ? `<span class="danger-pill">${t('danger.inDanger')}</span>` : t('danger.notInDanger')
+        } ${dangerStatusQualifier()}</dd>
+      </dl>
+      <div class="detail-description">${escapeHtml(plainText(site.description))}</div>
+      <h4>${t('site.criteria')}</h4>
+      ${criteriaListHtml(site)}
+      <h4>${t('site.dangerHistory')}</h4>
+      ${dangerHtml}
+      ${unescoLink}
+    `);
+}
+
+function openCountryProfile(country) {
+  state.profileCountry = country;
+  countryProfileSort = { key: 'year', direction: 1 };
+  render();
+}
+
+// Totals over the whole list rather than the filtered sites, so a profile's ranks don't shift as filters change.
+// The danger count still follows the selected year and status mode, like the rest of the danger figures.
+function countryTotals() {
+  const totals = new Map();
+  sites.forEach((site) => {
+    const inDanger = isInDanger(site);
+    site.countries.forEach((country) => {
+      const entry = totals.get(country) ?? { total: 0, danger: 0 };
+      entry.total += 1;
+      if (inDanger) entry.danger += 1;
+      totals.set(country, entry);
+    });
+  });
+  return totals;
+}
+
+function countryRank(totals, country, field) {
+  const value = totals.get(country)[field];
+  return 1 + Array.from(totals.values()).filter((entry) => entry[field] > value).length;
+}
 
-  updateBrushHighlight();
+function updateCountryProfile() {
+  const country = state.profileCountry;
+  const countrySites = country ? sites.filter((site) => site.countries.includes(country)) : [];
+  if (!countrySites.length) {
+    countryProfile.attr('hidden', true).html('');
+    return;
+  }
+  const totals = countryTotals();
+  const { total, danger } = totals.get(country);
+  const rankText = (field) => t('profile.rank', { rank: countryRank(totals, country, field), count: totals.size });
+  const regions = Array.from(new Set(countrySites.map((site) => site.region)), (region) => escapeHtml(regionLabel(region))).join(', ');
+  const barList = (entries, color) => {
+    const max = d3.max(entries, ([, count]) => count) || 1;
+    return `<ul class="profile-bars">${entries
+      .map(
+        ([label, count, key]) =>
+          `<li><span>${label}</span><i style="width:${(count / max) * 100}%; background:${color(key)}"></i><b>${count}</b></li>`
+      )
+      .join('')}</ul>`;
+  };
+  const categoryCounts = d3.rollup(countrySites, (group) => group.length, (site) => site.category);
+  const categoryEntries = categoryColor
+    .domain()
+    .filter((key) => categoryCounts.has(key))
+    .map((key) => [categoryLabels[key] ?? key, categoryCounts.get(key), key]);
+  const criteriaCounts = d3.rollup(countrySites.flatMap((site) => site.criteria), (group) => group.length, (code) => code);
+  const criteriaEntries = criteriaOrder
+    .filter((code) => criteriaCounts.has(code))
+    .map((code) => [`(${code})`, criteriaCounts.get(code), code]);
+  const dangerSites = countrySites.filter((site) => site.dangerEvents.length);
+  const partners = d3.group(
+    countrySites.flatMap((site) => site.countries.filter((other) => other !== country).map((partner) => ({ partner, site }))),
+    (d) => d.partner
+  );
+  const columns = [
+    { key: 'name', label: t('table.site'), value: (site) => site.name },
+    { key: 'year', label: t('table.year'), value: (site) => site.year },
+    { key: 'category', label: hierarchyLevels.category.label, value: (site) => categoryLabels[site.category] ?? site.category },
+    { key: 'danger', label: t('site.status'), value: (site) => (isInDanger(site) ? 0 : 1) }
+  ];
+  const sortColumn = columns.find((column) => column.key === countryProfileSort.key);
+  const compare = (a, b) => {
+    const x = sortColumn.value(a);
+    const y = sortColumn.value(b);
+    return typeof x === 'string' ? x.localeCompare(y, uiLocale) : x - y;
+  };
+  const rows = d3.sort(countrySites, (a, b) => countryProfileSort.direction * compare(a, b) || a.year - b.year);
+  const ariaSort = countryProfileSort.direction > 0 ? 'ascending' : 'descending';
+
+  countryProfile.attr('hidden', null).html(`
+    <div class="detail-header">
+      <h3>${escapeHtml(country)}</h3>
+      <button type="button" data-action="close-profile" aria-label="${t('profile.close')}">✕</button>
+    </div>
+    <dl>
+      <dt>${t('site.region')}</dt><dd>${regions}</dd>
+      <dt>${t('profile.sites')}</dt><dd>${total.toLocaleString(uiLocale)} · ${rankText('total')}</dd>
+      <dt>${t('danger.inDanger')} ${dangerStatusQualifier()}</dt><dd>${danger.toLocaleString(uiLocale)}${danger ? ` · ${rankText('danger')}` : ''}</dd>
+    </dl>
+    <button type="button" data-action="filter-country">${t('profile.filter')}</button>
+    <h4>${t('profile.timeline')}</h4>
+    <svg class="profile-timeline" role="img" aria-label="${t('profile.timelineAria', { country: escapeHtml(country) })}"></svg>
+    <h4>${t('facets.categories')}</h4>
+    ${barList(categoryEntries, categoryColor)}
+    <h4>${t('site.criteria')}</h4>
+    ${criteriaEntries.length ? barList(criteriaEntries, () => 'var(--accent)') : `<p>${t('site.noCriteria')}</p>`}
+    <h4>${t('site.dangerHistory')}</h4>
+    ${
+      dangerSites.length
+        ? `<ul>${dangerSites
+            .map(
+              (site) =>
+                `<li><button type="button" class="link-button" data-site="${escapeHtml(site.id)}">${escapeHtml(site.name)}</button>: ${describeIntervals(dangerIntervals(site))}</li>`
+            )
+            .join('')}</ul>`
+        : `<p>${t('profile.noDanger')}</p>`
+    }
+    <h4>${t('profile.shared')}</h4>
+    ${
+      partners.size
+        ? `<ul>${d3
+            .sort(partners, ([, group]) => -group.length)
+            .map(
+              ([partner, group]) =>
+                `<li><button type="button" class="link-button" data-country="${escapeHtml(partner)}">${escapeHtml(partner)}</button>: ${group
+                  .map(({ site }) => escapeHtml(site.name))
+                  .join(', ')}</li>`
+            )
+            .join('')}</ul>`
+        : `<p>${t('profile.noShared')}</p>`
+    }
+    <h4>${t('search.sites')}</h4>
+    <table class="data-table profile-table">
+      <thead><tr>${columns
+        .map(
+          (column) =>
+            `<th ${column.key === countryProfileSort.key ? `aria-sort="${ariaSort}"` : ''}><button type="button" class="link-button" data-sort="${column.key}">${column.label}</button></th>`
+        )
+        .join('')}</tr></thead>
+      <tbody>${rows
+        .map(
+          (site) => `<tr>
+            <td><button type="button" class="link-button" data-site="${escapeHtml(site.id)}">${escapeHtml(site.name)}</button></td>
+            <td>${site.year}</td>
+            <td>${categoryLabels[site.category] ?? site.category}</td>
+            <td>${isInDanger(site) ? `<span class="danger-pill">${t('danger.inDanger')}</span>` : t('danger.notInDanger')}</td>
+          </tr>`
+        )
+        .join('')}</tbody>
+    </table>
+  `);
+  drawProfileTimeline(countryProfile.select('.profile-timeline'), countrySites);
 }
 
-function showTooltip(event, d) {
-  const criteriaHtml = d.criteria.length
-    ? `<ul>${d.criteria
-        .map((code) => `<li><strong>${code.toUpperCase()}</strong> ${criteriaDefinitions[code]}</li>`)
-        .join('')}</ul>`
-    : '<p>No criteria listed</p>';
-  tooltip
-    .html(`
-      <h3>${d.name}</h3>
-      <div>${d.statesText}</div>
-      <div>${d.year} ｜ ${d.category}</div>
-      <div>${d.danger ? '<span class="danger-pill">In Danger</span>' : ''}</div>
-      <div>${d.description}</div>
-      <div><strong>Criteria</strong>${criteriaHtml}</div>
-      <div><strong>Danger events:</strong> ${d.dangerTimeline}</div>
-    `)
-    .style('left', `${event.pageX + 16}px`)
-    .style('top', `${event.pageY - 16}px`)
-    .attr('hidden', null);
+function drawProfileTimeline(svg, countrySites) {
+  const { width, height, margin } = COUNTRY_PROFILE_CHART;
+  const keys = categoryColor.domain();
+  const records = d3.range(yearExtent[0], yearExtent[1] + 1).map((year) => ({ year, ...Object.fromEntries(keys.map((key) => [key, 0])) }));
+  const byYear = new Map(records.map((record) => [record.year, record]));
+  countrySites.forEach((site) => {
+    const record = byYear.get(site.year);
+    if (record && site.category in record) record[site.category] += 1;
+  });
+  const x = d3
+    .scaleBand()
+    .domain(records.map((record) => record.year))
+    .range([margin.left, width - margin.right])
+    .padding(0.15);
+  const y = d3
+    .scaleLinear()
+    .domain([0, d3.max(records, (record) => d3.sum(keys, (key) => record[key])) || 1])
+    .nice()
+    .range([height - margin.bottom, margin.top]);
+  svg.attr('viewBox', `0 0 ${width} ${height}`);
+  svg
+    .selectAll('g.stack-layer')
+    .data(d3.stack().keys(keys)(records))
+    .join('g')
+    .attr('class', 'stack-layer')
+    .attr('fill', (series) => categoryColor(series.key))
+    .selectAll('rect')
+    .data((series) => series)
+    .join('rect')
+    .attr('x', (d) => x(d.data.year))
+    .attr('width', x.bandwidth())
+    .attr('y', (d) => y(d[1]))
+    .attr('height', (d) => y(d[0]) - y(d[1]))
+    .attr('opacity', (d) => (d.data.year <= state.year ? 0.85 : 0.25));
+  svg
+    .append('g')
+    .attr('class', 'axis')
+    .attr('transform', `translate(0, ${height - margin.bottom})`)
+    .call(d3.axisBottom(x).tickValues(x.domain().filter((year) => year % 10 === 0)).tickSize(2));
+  svg
+    .append('g')
+    .attr('class', 'axis')
+    .attr('transform', `translate(${margin.left}, 0)`)
+    .call(d3.axisLeft(y).ticks(3).tickFormat(d3.format('d')).tickSize(2));
 }
 
-function moveTooltip(event) {
-  tooltip.style('left', `${event.pageX + 16}px`).style('top', `${event.pageY - 16}px`);
+function handleCountryProfileClick(event) {
+  const target = event.target.closest('button');
+  if (!target) return;
+  const country = state.profileCountry;
+  if (target.dataset.action === 'close-profile') {
+    openCountryProfile(null);
+  } else if (target.dataset.action === 'filter-country') {
+    state.sunburstSelection = countrySelection(country);
+    updateBreadcrumb();
+    render();
+  } else if (target.dataset.country) {
+    openCountryProfile(target.dataset.country);
+  } else if (target.dataset.site) {
+    focusSiteOnMap(siteById.get(target.dataset.site));
+  } else if (target.dataset.sort) {
+    const { key, direction } = countryProfileSort;
+    countryProfileSort = { key: target.dataset.sort, direction: key === target.dataset.sort ? -direction : 1 };
+    updateCountryProfile();
+    countryProfile.select(`[data-sort="${countryProfileSort.key}"]`).node().focus();
+  }
 }
 
-function hideTooltip() {
-  tooltip.attr('hidden', true);
+function updatePinnedHighlight() {
+  const pinned = getPinnedSite();
+  if (mapSiteSelection) {
+    mapSiteSelection.classed('pinned', (d) => d.id === state.pinnedSiteId);
+  }
+  if (mapClusterSelection) {
+    mapClusterSelection.classed('pinned', (d) => d.members.some((site) => site.id === state.pinnedSiteId));
+  }
+  if (timelineBarSelection) {
+    const pinnedKey = pinned && (state.viewMode === 'category' ? pinned.category : pinned.region);
+    timelineBarSelection.classed('pinned', (d) => Boolean(pinned) && d.year === pinned.year && d.key === pinnedKey);
+  }
+  if (dangerLaneSelection) {
+    dangerLaneSelection.classed('pinned', (d) => d.site.id === state.pinnedSiteId);
+  }
+  if (sunburstArcSelection) {
+    sunburstArcSelection.classed('pinned', (d) => Boolean(pinned) && nodeContainsSite(d, pinned));
+  }
+}
+
+function nodeContainsSite(node, site) {
+  return node
+    .ancestors()
+    .filter((n) => n.depth > 0)
+    .every((n) => hierarchyLevels[n.data.level].values(site).includes(n.data.name));
 }
 
 function initTimeline() {
   const svg = d3.select('#timeline');
-  const { width, height } = getDimensions(svg.node());
-  svg.attr('viewBox', `0 0 ${width} ${height}`);
-  const margin = { top: 20, right: 30, bottom: 30, left: 50 };
+  const margin = TIMELINE_MARGIN;
 
-  timelineScales.x = d3.scaleLinear().range([margin.left, width - margin.right]);
-  timelineScales.y = d3.scaleLinear().range([height - margin.bottom, margin.top]);
+  timelineScales.x = d3.scaleLinear().domain(yearExtent);
+  timelineScales.y = d3.scaleLinear();
 
+  timelineAreas = svg.append('g').attr('class', 'timeline-area');
   timelineBars = svg.append('g').attr('class', 'timeline-bars');
-  timelineAxisX = svg
-    .append('g')
-    .attr('class', 'axis axis--x')
-    .attr('transform', `translate(0, ${height - margin.bottom})`);
+  timelineAxisX = svg.append('g').attr('class', 'axis axis--x');
   timelineAxisY = svg
     .append('g')
     .attr('class', 'axis axis--y')
     .attr('transform', `translate(${margin.left}, 0)`);
 
+  timelineYearTargets = svg.append('g').attr('class', 'year-targets');
+  timelineCompareLabels = svg.append('g').attr('class', 'compare-labels').style('display', 'none');
+  timelineCompareLabels
+    .append('line')
+    .attr('class', 'compare-baseline')
+    .attr('x1', margin.left);
+  timelineCompareLabels
+    .append('text')
+    .attr('class', 'compare-label compare-label--A')
+    .attr('x', margin.left + 6);
+  timelineCompareLabels
+    .append('text')
+    .attr('class', 'compare-label compare-label--B')
+    .attr('x', margin.left + 6);
+
   const dangerGroup = svg.append('g').attr('class', 'danger-lines');
   dangerPaths.Y = dangerGroup
     .append('path')
@@ -414,14 +3225,21 @@ function initTimeline() {
     .append('path')
     .attr('class', 'danger-line')
     .attr('stroke', dangerColors.R);
+  dangerPaths.listed = dangerGroup
+    .append('path')
+    .attr('class', 'danger-line')
+    .attr('stroke', dangerColors.listed);
+
+  timelinePlayhead = svg
+    .append('line')
+    .attr('class', 'timeline-playhead')
+    .attr('y1', margin.top)
+    .style('display', 'none');
 
   timelineBrush = d3
     .brushX()
-    .extent([
-      [margin.left, margin.top],
-      [width - margin.right, height - margin.bottom]
-    ])
-    .on('brush end', ({ selection }) => {
+    .handleSize(TOUCH_POINTER.matches ? 24 : 6)
+    .on('brush end', ({ type, selection }) => {
       if (selection) {
         const [x0, x1] = selection.map(timelineScales.x.invert);
         state.brushRange = [Math.round(x0), Math.round(x1)];
@@ -429,9 +3247,33 @@ function initTimeline() {
         state.brushRange = null;
       }
       updateBrushHighlight();
+      // The co-occurrence counts are scoped to the brushed years.
+      if (criteriaTrendPanels) updateCriteriaMatrix(currentFiltered);
+      if (type === 'end') syncUrlState();
     });
 
-  timelineBrushGroup = svg.append('g').attr('class', 'timeline-brush').call(timelineBrush);
+  timelineBrushGroup = svg.append('g').attr('class', 'timeline-brush');
+  layoutTimeline();
+}
+
+// The brush is stored in years, so after the pixel extent changes it is moved back onto the same years.
+function layoutTimeline() {
+  const svg = d3.select('#timeline');
+  const { width, height } = getDimensions(svg.node());
+  const margin = TIMELINE_MARGIN;
+  svg.attr('viewBox', `0 0 ${width} ${height}`);
+  timelineScales.x.range([margin.left, width - margin.right]);
+  timelineScales.y.range([height - margin.bottom, margin.top]);
+  timelineAxisX.attr('transform', `translate(0, ${height - margin.bottom})`);
+  timelineCompareLabels.select('.compare-baseline').attr('x2', width - margin.right);
+  timelinePlayhead.attr('y2', height - margin.bottom);
+  timelineBrushGroup.call(
+    timelineBrush.extent([
+      [margin.left, margin.top],
+      [width - margin.right, height - margin.bottom]
+    ])
+  );
+  if (state.brushRange) syncBrushToState();
 }
 
 function prepareStackData(data) {
@@ -456,64 +3298,205 @@ function prepareStackData(data) {
   return { keys, yearRecords };
 }
 
-function updateTimeline(data) {
+// Cumulative mode carries running totals forward; the other modes stack the annual counts.
+function timelineRecords(data, mode = timelineMode()) {
   const { keys, yearRecords } = prepareStackData(data);
-  const stack = d3.stack().keys(keys)(yearRecords);
-  const maxValue = d3.max(yearRecords, (d) => d.total) || 1;
+  if (mode !== 'cumulative') return { keys, yearRecords };
+  const running = {};
+  [...keys, 'total'].forEach((key) => {
+    running[key] = 0;
+  });
+  return {
+    keys,
+    yearRecords: yearRecords.map((record) => {
+      const cumulative = { year: record.year };
+      [...keys, 'total'].forEach((key) => {
+        running[key] += record[key];
+        cumulative[key] = running[key];
+      });
+      return cumulative;
+    })
+  };
+}
+
+function timelineMode() {
+  // A streamgraph's baseline wanders around zero, so it can't be mirrored for comparison.
+  return state.compareMode && state.timelineMode === 'stream' ? 'annual' : state.timelineMode;
+}
+
+function timelineUsesLog() {
+  const mode = timelineMode();
+  return state.timelineScale === 'log' && (mode === 'annual' || mode === 'cumulative');
+}
+
+function updateTimeline(data) {
+  const mode = timelineMode();
+  // Compare mode mirrors the stacks: set A grows up from the zero line and set B grows down.
+  const sets = state.compareMode ? [['A', compareResults.A], ['B', compareResults.B]] : [['A', data]];
+  const setRecords = sets.map(([set, setData]) => [set, timelineRecords(setData, mode)]);
+  const layers = [];
+  setRecords.forEach(([set, { keys, yearRecords }]) => {
+    const sign = set === 'B' ? -1 : 1;
+    const stack = d3.stack().keys(keys);
+    if (mode === 'normalized') stack.offset(d3.stackOffsetExpand);
+    if (mode === 'stream') stack.offset(d3.stackOffsetWiggle).order(d3.stackOrderInsideOut);
+    stack(yearRecords).forEach((series) => {
+      layers.push({
+        id: `${set}:${series.key}`,
+        key: series.key,
+        values: series.map((d) => ({ year: d.data.year, key: series.key, set, y0: sign * d[0], y1: sign * d[1] }))
+      });
+    });
+  });
+
+  const values = layers.flatMap((layer) => layer.values.flatMap((d) => [d.y0, d.y1]));
+  const low = Math.min(0, d3.min(values) ?? 0);
+  const high = Math.max(1, d3.max(values) ?? 0);
+  const reach = Math.max(-low, high);
+  let domain = state.compareMode ? [-reach, reach] : [low, high];
+  // Log axes end on a power of ten so the top tick is labelled.
+  if (timelineUsesLog()) domain = domain.map((value) => Math.sign(value) * 10 ** Math.ceil(Math.log10(Math.abs(value) || 1)));
+  if (mode === 'normalized') domain = state.compareMode ? [-1, 1] : [0, 1];
+  const range = timelineScales.y.range();
+  timelineScales.y = (timelineUsesLog() ? d3.scaleSymlog() : d3.scaleLinear()).domain(domain).range(range);
+  if (!timelineUsesLog()) timelineScales.y.nice();
   timelineScales.x.domain(yearExtent);
-  timelineScales.y.domain([0, maxValue]).nice();
 
   const barWidth = Math.max(2, (timelineScales.x(yearExtent[0] + 1) - timelineScales.x(yearExtent[0])) * 0.6);
   const colorScale = state.viewMode === 'category' ? categoryColor : regionColor;
 
   const groups = timelineBars
     .selectAll('g.stack-layer')
-    .data(stack, (d) => d.key)
+    .data(mode === 'annual' ? layers : [], (d) => d.id)
     .join((enter) => enter.append('g').attr('class', 'stack-layer'))
     .attr('fill', (d) => colorScale(d.key));
 
   groups
     .selectAll('rect')
-    .data((series) =>
-      series.map((d) => ({
-        year: d.data.year,
-        key: series.key,
-        y0: d[0],
-        y1: d[1]
-      }))
-    )
+    .data((layer) => layer.values)
     .join('rect')
     .attr('x', (d) => timelineScales.x(d.year) - barWidth / 2)
     .attr('width', barWidth)
-    .attr('y', (d) => timelineScales.y(d.y1))
-    .attr('height', (d) => Math.max(0, timelineScales.y(d.y0) - timelineScales.y(d.y1)))
+    .attr('y', (d) => timelineScales.y(Math.max(d.y0, d.y1)))
+    .attr('height', (d) => Math.abs(timelineScales.y(d.y0) - timelineScales.y(d.y1)))
     .attr('opacity', (d) => (d.year <= state.year ? 0.7 : 0.15));
 
   timelineBarSelection = timelineBars.selectAll('rect');
 
-  timelineAxisX.call(d3.axisBottom(timelineScales.x).tickFormat(d3.format('d')));
-  timelineAxisY.call(d3.axisLeft(timelineScales.y));
-
-  if (state.showDangerEvents) {
-    const dangerSeries = buildDangerSeries(data);
-    const dangerLine = d3
-      .line()
-      .defined((d) => d.value !== null)
-      .x((d) => timelineScales.x(d.year))
-      .y((d) => timelineScales.y(d.value))
-      .curve(d3.curveCatmullRom.alpha(0.5));
-    dangerPaths.Y.attr('d', dangerLine(dangerSeries.Y)).style('display', 'block');
-    dangerPaths.R.attr('d', dangerLine(dangerSeries.R)).style('display', 'block');
+  const area = d3
+    .area()
+    .defined((d) => d.year <= state.year)
+    .x((d) => timelineScales.x(d.year))
+    .y0((d) => timelineScales.y(d.y0))
+    .y1((d) => timelineScales.y(d.y1))
+    .curve(mode === 'stream' ? d3.curveBasis : d3.curveMonotoneX);
+  timelineAreas
+    .selectAll('path')
+    .data(mode === 'annual' ? [] : layers, (d) => d.id)
+    .join('path')
+    .attr('fill', (d) => colorScale(d.key))
+    .attr('d', (d) => area(d.values));
+
+  updateYearTargets(setRecords, barWidth);
+
+  const axisY = d3.axisLeft(timelineScales.y);
+  if (mode === 'normalized') {
+    axisY.tickFormat((d) => d3.format('.0%')(Math.abs(d)));
   } else {
-    dangerPaths.Y.style('display', 'none');
-    dangerPaths.R.style('display', 'none');
+    axisY.tickFormat((d) => d3.format('~s')(Math.abs(d)));
   }
+  if (timelineUsesLog()) axisY.tickValues(logTicks(timelineScales.y.domain()));
+  // Stream offsets are arbitrary, so only the thickness of each band carries meaning.
+  if (mode === 'stream') axisY.tickValues([]);
+  timelineAxisX.call(d3.axisBottom(timelineScales.x).tickFormat(d3.format('d')));
+  timelineAxisY.call(axisY);
+  timelineCompareLabels
+    .style('display', state.compareMode ? null : 'none')
+    .select('.compare-label--A')
+    .attr('y', timelineScales.y.range()[1] + 12)
+    .text(`▲ ${t('compare.set', { set: 'A' })}`);
+  timelineCompareLabels
+    .select('.compare-label--B')
+    .attr('y', timelineScales.y.range()[0] - 6)
+    .text(`▼ ${t('compare.set', { set: 'B' })}`);
+  timelineCompareLabels.select('.compare-baseline').attr('y1', timelineScales.y(0)).attr('y2', timelineScales.y(0));
+
+  const dangerSeries = showsDangerOverlay() ? buildDangerSeries(data, mode === 'cumulative') : {};
+  const dangerLine = d3
+    .line()
+    .defined((d) => d.value !== null)
+    .x((d) => timelineScales.x(d.year))
+    .y((d) => timelineScales.y(d.value))
+    .curve(d3.curveCatmullRom.alpha(0.5));
+  Object.entries(dangerPaths).forEach(([key, path]) => {
+    if (dangerSeries[key]) {
+      path.attr('d', dangerLine(dangerSeries[key])).style('display', 'block');
+    } else {
+      path.style('display', 'none');
+    }
+  });
 
   updateBrushHighlight();
 }
 
-function buildDangerSeries(data) {
+function showsDangerOverlay() {
+  const mode = timelineMode();
+  return state.showDangerEvents && !state.compareMode && (mode === 'annual' || mode === 'cumulative');
+}
+
+function logTicks([low, high]) {
+  const ticks = [0];
+  for (let power = 1; power <= Math.max(-low, high); power *= 10) {
+    if (power <= high) ticks.push(power);
+    if (-power >= low) ticks.push(-power);
+  }
+  return ticks;
+}
+
+// Invisible one-per-year columns give keyboard and screen-reader users a year-by-year path through the chart.
+function updateYearTargets(setRecords, barWidth) {
+  const mode = timelineMode();
+  const label = (key) => (state.viewMode === 'category' ? categoryLabels[key] ?? key : regionLabel(key));
+  const percent = d3.format('.0%');
+  timelineYearLabels = new Map();
+  d3.range(yearExtent[0], yearExtent[1] + 1).forEach((year, i) => {
+    const parts = setRecords.map(([set, { keys, yearRecords }]) => {
+      const record = yearRecords[i];
+      const breakdown = keys
+        .filter((key) => record[key])
+        .map((key) => `${label(key)} ${mode === 'normalized' ? percent(record[key] / record.total) : record[key]}`);
+      const prefix = state.compareMode ? `${t('compare.set', { set })}: ` : '';
+      const total = t(mode === 'cumulative' ? 'timeline.inscribedSoFar' : 'timeline.inscribed', { count: record.total });
+      return `${prefix}${total}${breakdown.length ? ` (${breakdown.join(', ')})` : ''}`;
+    });
+    timelineYearLabels.set(year, `${year}: ${parts.join('; ')}`);
+  });
+  const [yBottom, yTop] = timelineScales.y.range();
+  const targets = timelineYearTargets
+    .selectAll('rect')
+    .data(Array.from(timelineYearLabels.keys()), (d) => d)
+    .join('rect')
+    .attr('x', (year) => timelineScales.x(year) - barWidth / 2)
+    .attr('width', barWidth)
+    .attr('y', yTop)
+    .attr('height', yBottom - yTop)
+    .attr('role', 'button')
+    .attr('aria-label', (year) => t('timeline.yearTarget', { label: timelineYearLabels.get(year) }));
+  setRovingTabindex(targets.nodes(), (node) => d3.select(node).datum() === state.year);
+}
+
+function buildDangerSeries(data, cumulative = false) {
   const yearRange = d3.range(yearExtent[0], yearExtent[1] + 1);
+  if (cumulative) {
+    // Running count of sites on the list in each year, i.e. listings so far minus removals so far.
+    const candidates = data.filter((site) => site.danger || site.dangerEvents.length);
+    return {
+      listed: yearRange.map((year) => ({
+        year,
+        value: year <= state.year ? candidates.filter((site) => wasInDanger(site, year)).length : null
+      }))
+    };
+  }
   const base = yearRange.map((year) => ({ year, value: year <= state.year ? 0 : null }));
   const seriesY = base.map((d) => ({ ...d }));
   const seriesR = base.map((d) => ({ ...d }));
@@ -530,12 +3513,33 @@ function buildDangerSeries(data) {
 }
 
 function initSunburst() {
+  const svg = d3.select('#sunburst');
+  const rootGroup = svg.append('g').attr('class', 'sunburst-root');
+  rootGroup.append('g').attr('class', 'sunburst-arcs');
+  const center = rootGroup
+    .append('g')
+    .attr('class', 'sunburst-center')
+    .attr('role', 'button')
+    .attr('tabindex', 0)
+    .on('click', (event, d) => {
+      event.stopPropagation();
+      if (!d?.parent) return;
+      state.sunburstSelection = sunburstPathSelection(d.parent);
+      updateBreadcrumb();
+      render();
+    });
+  center.append('circle');
+  center.append('text').attr('class', 'sunburst-center-name').attr('dy', '-0.2em');
+  center.append('text').attr('class', 'sunburst-center-count').attr('dy', '1.1em');
+  layoutSunburst();
+}
+
+function layoutSunburst() {
   const svg = d3.select('#sunburst');
   const { width, height } = getDimensions(svg.node());
   svg.attr('viewBox', `0 0 ${width} ${height}`);
-  const radius = Math.min(width, height) / 2 - 10;
-  svg.append('g').attr('class', 'sunburst-root').attr('transform', `translate(${width / 2}, ${height / 2})`);
-  svg.node().__radius = radius;
+  svg.select('.sunburst-root').attr('transform', `translate(${width / 2}, ${height / 2})`);
+  svg.node().__radius = Math.min(width, height) / 2 - 10;
   svg.node().__center = [width / 2, height / 2];
 }
 
@@ -550,205 +3554,1707 @@ function updateSunburst(data) {
     .sum((d) => d.value || 0)
     .sort((a, b) => b.value - a.value);
 
-  const partition = d3.partition().size([2 * Math.PI, radius]);
-  partition(root);
+  d3.partition().size([2 * Math.PI, root.height + 1])(root);
+
+  // The focus (centre) is the selected node, or its parent when the selection is a leaf.
+  const selected = root.descendants().find((node) => node.depth > 0 && matchesSunburstSelection(node));
+  const focus = selected ? selected.children ? selected : selected.parent : root;
+  const rings = Math.min(SUNBURST_VISIBLE_RINGS, state.sunburstLevels.length);
+  const ringWidth = radius / (rings + 1);
+  root.each((d) => {
+    d.target = {
+      x0: Math.max(0, Math.min(1, (d.x0 - focus.x0) / (focus.x1 - focus.x0))) * 2 * Math.PI,
+      x1: Math.max(0, Math.min(1, (d.x1 - focus.x0) / (focus.x1 - focus.x0))) * 2 * Math.PI,
+      y0: Math.max(0, d.y0 - focus.depth),
+      y1: Math.max(0, d.y1 - focus.depth)
+    };
+  });
+  const arcVisible = (d) => d.y1 <= rings + 1 && d.y0 >= 1 && d.x1 > d.x0;
+
+  const arcGenerator = d3
+    .arc()
+    .startAngle((d) => d.x0)
+    .endAngle((d) => d.x1)
+    .padAngle((d) => Math.min((d.x1 - d.x0) / 2, 1 / radius))
+    .padRadius(radius / 3)
+    .innerRadius((d) => d.y0 * ringWidth)
+    .outerRadius((d) => Math.max(d.y0 * ringWidth, d.y1 * ringWidth - 1));
+
+  const nodes = root.descendants().filter((d) => d.depth > 0);
+  const arcs = rootGroup
+    .select('.sunburst-arcs')
+    .selectAll('path')
+    .data(nodes, sunburstNodeKey)
+    .join('path')
+    .attr('fill', sunburstFill)
+    .attr('pointer-events', (d) => (arcVisible(d.target) ? null : 'none'))
+    .attr('aria-hidden', (d) => (arcVisible(d.target) ? null : 'true'))
+    .attr('role', 'button')
+    .attr('aria-label', (d) => `${sunburstPathLabel(d)}: ${t('count.sites', { count: d.value.toLocaleString(uiLocale) })}${sunburstSharedNote(d)}`)
+    .on('click', (event, d) => {
+      event.stopPropagation();
+      handleSunburstClick(d);
+    });
+
+  arcs
+    .transition()
+    .duration(state.playing ? 0 : 750)
+    .attr('fill-opacity', (d) => (arcVisible(d.target) ? 1 : 0))
+    .attrTween('d', function (d) {
+      const interpolate = d3.interpolate(this.__arc ?? d.target, d.target);
+      return (t) => {
+        this.__arc = interpolate(t);
+        return arcGenerator(this.__arc);
+      };
+    });
+
+  arcs
+    .selectAll('title')
+    .data((d) => [d])
+    .join('title')
+    .text((d) => `${sunburstPathLabel(d)}: ${d.value}${sunburstSharedNote(d)}`);
+
+  const center = rootGroup.select('.sunburst-center').datum(focus).classed('zoomed', focus !== root);
+  center.select('circle').attr('r', ringWidth);
+  center.select('.sunburst-center-name').text(focus === root ? t('sunburst.allSites') : hierarchyLevels[focus.data.level].format(focus.data.name));
+  center.select('.sunburst-center-count').text(t('count.sites', { count: (focus.value ?? 0).toLocaleString(uiLocale) }));
+  center.attr(
+    'aria-label',
+    focus === root
+      ? t('sunburst.allSites')
+      : t('sunburst.zoomOut', { from: sunburstPathLabel(focus), to: focus.parent.depth ? sunburstPathLabel(focus.parent) : t('sunburst.allSites') })
+  );
+
+  sunburstArcSelection = arcs;
+  sunburstArcSelection.classed('selected', (d) => matchesSunburstSelection(d));
+  const visibleArcs = arcs.filter((d) => arcVisible(d.target)).nodes();
+  arcs.filter((d) => !arcVisible(d.target)).attr('tabindex', null);
+  setRovingTabindex(visibleArcs, (node) => {
+    const d = d3.select(node).datum();
+    return sunburstFocusKey ? sunburstNodeKey(d) === sunburstFocusKey : matchesSunburstSelection(d);
+  });
+}
+
+// Transboundary sites sit under every member country, so say how many of a country's sites are counted elsewhere too.
+function sunburstSharedNote(node) {
+  return node.data.shared ? ` (${t('sunburst.shared', { count: node.data.shared })})` : '';
+}
+
+function sunburstNodeKey(node) {
+  return node
+    .ancestors()
+    .map((n) => n.data.name)
+    .join('-');
+}
+
+function sunburstPathLabel(node) {
+  return node
+    .ancestors()
+    .reverse()
+    .slice(1)
+    .map((n) => hierarchyLevels[n.data.level].format(n.data.name))
+    .join(', ');
+}
+
+function sunburstFill(node) {
+  const { level, name } = node.data;
+  if (level === 'region') return regionColor(name);
+  if (level === 'category') return categoryColor(name);
+  if (level === 'inDanger') return name === 'In Danger' ? dangerColors.listed : '#64748b';
+  if (node.depth === 1) return sunburstPalette(name);
+  return d3.color(sunburstFill(node.parent)).brighter(0.4).formatHex();
+}
+
+function buildHierarchy(data, levels = state.sunburstLevels) {
+  return { name: 'World', children: nestByLevels(data, levels) };
+}
+
+// Sites that belong to several nodes at a level (transboundary countries, multiple criteria) appear under each.
+function nestByLevels(records, [level, ...rest]) {
+  const groups = new Map();
+  records.forEach((site) => {
+    hierarchyLevels[level].values(site).forEach((value) => {
+      if (!groups.has(value)) groups.set(value, []);
+      groups.get(value).push(site);
+    });
+  });
+  return Array.from(groups, ([name, members]) => {
+    const node = rest.length ? { name, level, children: nestByLevels(members, rest) } : { name, level, value: members.length };
+    if (level === 'country') node.shared = members.filter((site) => site.countries.length > 1).length;
+    return node;
+  });
+}
+
+function sunburstPathSelection(node) {
+  const path = node.ancestors().reverse().slice(1);
+  return path.length ? Object.fromEntries(path.map((n) => [n.data.level, n.data.name])) : null;
+}
+
+function handleSunburstClick(node) {
+  // Clicking a branch zooms into it; leaves can't zoom, so a second click steps back out to the parent.
+  const same = !node.children && matchesSunburstSelection(node);
+  state.sunburstSelection = same ? sunburstPathSelection(node.parent) : sunburstPathSelection(node);
+  if (node.data.level === 'country' && !same) state.profileCountry = node.data.name;
+  updateBreadcrumb();
+  render();
+}
+
+function updateBreadcrumb() {
+  const labelParts = Object.entries(state.sunburstSelection ?? {}).map(([level, value]) =>
+    hierarchyLevels[level].format(value)
+  );
+  const label = labelParts.length ? labelParts.join(' → ') : t('sunburst.allSites');
+  breadcrumb.text(state.compareMode ? `${t('compare.set', { set: state.activeSet })}: ${label}` : label);
+}
+
+function matchesSunburstSelection(node) {
+  const selection = sunburstPathSelection(node);
+  if (!state.sunburstSelection || !selection) return false;
+  const levels = Object.keys(state.sunburstSelection);
+  return (
+    levels.length === Object.keys(selection).length &&
+    levels.every((level) => selection[level] === state.sunburstSelection[level])
+  );
+}
+
+function renderSunburstLevelControls() {
+  const levels = [
+    ...state.sunburstLevels,
+    ...Object.keys(hierarchyLevels).filter((level) => !state.sunburstLevels.includes(level))
+  ];
+  const items = d3
+    .select('#sunburstLevels')
+    .selectAll('li')
+    .data(levels, (d) => d)
+    .join((enter) => {
+      const li = enter.append('li');
+      const label = li.append('label');
+      label.append('input').attr('type', 'checkbox');
+      label.append('span');
+      li.append('button').attr('type', 'button').attr('data-move', -1).text('↑');
+      li.append('button').attr('type', 'button').attr('data-move', 1).text('↓');
+      return li;
+    })
+    .order()
+    .classed('inactive', (d) => !state.sunburstLevels.includes(d));
+  items.select('span').text((d) => hierarchyLevels[d].label);
+  items
+    .select('input')
+    .property('checked', (d) => state.sunburstLevels.includes(d))
+    .property('disabled', (d) => state.sunburstLevels.length === 1 && state.sunburstLevels.includes(d))
+    .on('change', (event, d) => {
+      setSunburstLevels(
+        event.target.checked ? [...state.sunburstLevels, d] : state.sunburstLevels.filter((level) => level !== d)
+      );
+    });
+  items
+    .selectAll('button')
+    .attr('aria-label', function (d) {
+      return t(this.dataset.move < 0 ? 'sunburst.moveInwards' : 'sunburst.moveOutwards', { level: hierarchyLevels[d].label });
+    })
+    .property('disabled', function (d) {
+      const index = state.sunburstLevels.indexOf(d);
+      const next = index + +this.dataset.move;
+      return index < 0 || next < 0 || next >= state.sunburstLevels.length;
+    })
+    .on('click', function (event, d) {
+      const levels = [...state.sunburstLevels];
+      const index = levels.indexOf(d);
+      const next = index + +this.dataset.move;
+      [levels[index], levels[next]] = [levels[next], levels[index]];
+      setSunburstLevels(levels);
+    });
+}
+
+function setSunburstLevels(levels) {
+  state.sunburstLevels = levels;
+  // A step on a level that is no longer drawn would filter invisibly, so drop it.
+  if (state.sunburstSelection) {
+    const kept = Object.entries(state.sunburstSelection).filter(([level]) => levels.includes(level));
+    state.sunburstSelection = kept.length ? Object.fromEntries(kept) : null;
+  }
+  sunburstFocusKey = null;
+  renderSunburstLevelControls();
+  updateBreadcrumb();
+  updateLegends();
+  render();
+}
+
+function initNetwork() {
+  const svg = d3.select('#network');
+  const root = svg.append('g').attr('class', 'network-root');
+  root.append('g').attr('class', 'network-ribbons');
+  root.append('g').attr('class', 'network-groups');
+  root.append('text').attr('class', 'network-empty').attr('text-anchor', 'middle');
+  layoutNetwork();
+}
+
+// Country labels sit outside the ring, so the radius leaves room for them.
+function layoutNetwork() {
+  const svg = d3.select('#network');
+  const { width, height } = getDimensions(svg.node());
+  svg.attr('viewBox', `0 0 ${width} ${height}`);
+  svg.select('.network-root').attr('transform', `translate(${width / 2}, ${height / 2})`);
+  svg.node().__radius = Math.max(40, Math.min(width, height) / 2 - NETWORK_LABEL_SPACE);
+}
+
+// One link per pair of States Parties sharing a site; a site with n members links every one of its n(n-1)/2 pairs.
+function transboundaryLinks(data) {
+  const links = new Map();
+  data
+    .filter((site) => site.countries.length > 1)
+    .forEach((site) => {
+      site.countries.forEach((a, i) => {
+        site.countries.slice(i + 1).forEach((b) => {
+          const [source, target] = a < b ? [a, b] : [b, a];
+          const key = `${source}|${target}`;
+          if (!links.has(key)) links.set(key, { source, target, sites: [] });
+          links.get(key).sites.push(site);
+        });
+      });
+    });
+  return Array.from(links.values());
+}
+
+function updateNetwork(data) {
+  const svg = d3.select('#network');
+  const radius = svg.node().__radius;
+  const links = transboundaryLinks(data);
+  const regionOf = new Map();
+  data.forEach((site) => site.countries.forEach((country) => regionOf.has(country) || regionOf.set(country, site.region)));
+  // Countries are grouped by region around the ring, then alphabetically.
+  const countries = d3.sort(
+    new Set(links.flatMap((link) => [link.source, link.target])),
+    (country) => regionColor.domain().indexOf(regionOf.get(country)),
+    (country) => country
+  );
+  const index = new Map(countries.map((country, i) => [country, i]));
+  const matrix = countries.map(() => countries.map(() => 0));
+  const linkByPair = new Map();
+  links.forEach((link) => {
+    const [i, j] = [index.get(link.source), index.get(link.target)];
+    matrix[i][j] += link.sites.length;
+    matrix[j][i] += link.sites.length;
+    linkByPair.set(`${i}|${j}`, link);
+  });
+  const chords = d3.chord().padAngle(countries.length > 1 ? 0.02 : 0).sortSubgroups(d3.descending)(matrix);
+  const groups = chords.groups.map((group) => ({ ...group, country: countries[group.index], region: regionOf.get(countries[group.index]) }));
+  const ribbons = chords.map((chord) => {
+    const [i, j] = d3.sort([chord.source.index, chord.target.index]);
+    return { ...chord, link: linkByPair.get(`${i}|${j}`) ?? linkByPair.get(`${j}|${i}`) };
+  });
+  const arc = d3.arc().innerRadius(radius).outerRadius(radius + 10);
+  const ribbon = d3.ribbon().radius(radius - 2);
+
+  svg
+    .select('.network-empty')
+    .text(links.length ? '' : t('network.empty'));
+
+  const ribbonSelection = svg
+    .select('.network-ribbons')
+    .selectAll('path')
+    .data(ribbons, (d) => `${d.link.source}|${d.link.target}`)
+    .join('path')
+    .attr('class', 'network-ribbon')
+    .attr('d', ribbon)
+    .attr('fill', (d) => categoryColor(dominantLinkCategory(d.link)))
+    .on('mouseenter', (event, d) => showNetworkLinkTooltip(event, d.link))
+    .on('mousemove', (event) => moveTooltip(event))
+    .on('mouseleave', hideTooltip);
+
+  networkGroupSelection = svg
+    .select('.network-groups')
+    .selectAll('g.network-group')
+    .data(groups, (d) => d.country)
+    .join((enter) => {
+      const group = enter.append('g').attr('class', 'network-group').attr('role', 'button');
+      group.append('path');
+      group.append('text').attr('dy', '0.35em');
+      return group;
+    })
+    .classed('selected', (d) => d.country === state.profileCountry)
+    .attr('aria-label', (d) => t('network.groupLabel', { country: d.country, count: networkSharedCount(d.country, links) }))
+    .on('mouseenter', (event, d) => {
+      ribbonSelection.classed('dimmed', (r) => r.link.source !== d.country && r.link.target !== d.country);
+      showNetworkGroupTooltip(event, d, links);
+    })
+    .on('mousemove', (event) => moveTooltip(event))
+    .on('mouseleave', () => {
+      ribbonSelection.classed('dimmed', false);
+      hideTooltip();
+    })
+    .on('click', (event, d) => openCountryProfile(d.country));
+  networkGroupSelection
+    .select('path')
+    .attr('d', arc)
+    .attr('fill', (d) => regionColor(d.region));
+  networkGroupSelection
+    .select('text')
+    .attr('transform', (d) => {
+      const angle = (d.startAngle + d.endAngle) / 2;
+      return `rotate(${(angle * 180) / Math.PI - 90}) translate(${radius + 14}) ${angle > Math.PI ? 'rotate(180)' : ''}`;
+    })
+    .attr('text-anchor', (d) => ((d.startAngle + d.endAngle) / 2 > Math.PI ? 'end' : null))
+    .text((d) => (d.country.length > NETWORK_LABEL_LENGTH ? `${d.country.slice(0, NETWORK_LABEL_LENGTH - 1)}…` : d.country));
+  setRovingTabindex(networkGroupSelection.nodes(), (node) => d3.select(node).datum().country === networkFocusCountry);
+
+  renderLegend(d3.select('#networkLegend'), networkLegendItems(groups, ribbons));
+}
+
+function dominantLinkCategory(link) {
+  return d3.greatest(d3.rollup(link.sites, (group) => group.length, (site) => site.category), ([, count]) => count)[0];
+}
+
+function networkSharedCount(country, links) {
+  return new Set(links.filter((link) => link.source === country || link.target === country).flatMap((link) => link.sites)).size;
+}
+
+function showNetworkLinkTooltip(event, link) {
+  tooltip
+    .html(`
+      <h3>${escapeHtml(link.source)} – ${escapeHtml(link.target)}</h3>
+      <div>${t('count.sites', { count: link.sites.length.toLocaleString(uiLocale) })}</div>
+      <ul>${link.sites.map((site) => `<li>${escapeHtml(site.name)} (${site.year})</li>`).join('')}</ul>
+    `)
+    .attr('hidden', null);
+  moveTooltip(event);
+}
+
+function showNetworkGroupTooltip(event, group, links = transboundaryLinks(currentFiltered)) {
+  const partners = links
+    .filter((link) => link.source === group.country || link.target === group.country)
+    .map((link) => `<li>${escapeHtml(link.source === group.country ? link.target : link.source)}: ${link.sites.length}</li>`);
+  tooltip
+    .html(`
+      <h3>${escapeHtml(group.country)}</h3>
+      <div>${t('network.shared', { count: networkSharedCount(group.country, links).toLocaleString(uiLocale) })}</div>
+      <ul>${partners.join('')}</ul>
+      <div>${t('network.profileHint')}</div>
+    `)
+    .attr('hidden', null);
+  moveTooltip(event);
+}
+
+function networkLegendItems(groups, ribbons) {
+  const regions = new Set(groups.map((group) => group.region));
+  const categories = new Set(ribbons.map((d) => dominantLinkCategory(d.link)));
+  return [
+    { label: t('network.ribbons'), heading: true },
+    ...categoryColor
+      .domain()
+      .filter((key) => categories.has(key))
+      .map((key) => ({ label: categoryLabels[key] ?? key, color: categoryColor(key) })),
+    { label: t('network.arcs'), heading: true },
+    ...regionColor
+      .domain()
+      .filter((region) => regions.has(region))
+      .map((region) => ({ label: regionLabel(region), color: regionColor(region) }))
+  ];
+}
+
+function initCriteriaView() {
+  const grid = d3
+    .select('#criteriaMatrix')
+    .append('g')
+    .attr('class', 'criteria-matrix')
+    .attr('transform', `translate(${CRITERIA_MATRIX_MARGIN.left}, ${CRITERIA_MATRIX_MARGIN.top})`);
+  grid.append('g').attr('class', 'axis axis--top');
+  grid.append('g').attr('class', 'axis axis--left');
+  grid.append('g').attr('class', 'criteria-cells');
+  criteriaMatrixScale = d3.scaleBand().domain(criteriaOrder).padding(0.06);
+
+  criteriaTrendScales = { x: d3.scaleLinear().domain(yearExtent), y: d3.scaleLinear() };
+  criteriaTrendPanels = d3
+    .select('#criteriaTrends')
+    .selectAll('g.criteria-panel')
+    .data(criteriaOrder)
+    .join('g')
+    .attr('class', 'criteria-panel');
+  criteriaTrendPanels.append('rect').attr('class', 'panel-bg');
+  criteriaTrendPanels.append('rect').attr('class', 'trend-brush').attr('y', 0);
+  criteriaTrendPanels.append('path').attr('class', 'trend-area').attr('fill', criterionColor);
+  criteriaTrendPanels.append('line').attr('class', 'trend-year-rule').attr('y1', 0);
+  criteriaTrendPanels.append('text').attr('class', 'trend-label').attr('x', 4).attr('y', 11);
+  criteriaTrendPanels.append('title');
+  layoutCriteriaMatrix();
+  layoutCriteriaTrends();
+}
+
+function layoutCriteriaMatrix() {
+  const matrix = d3.select('#criteriaMatrix');
+  const { width, height } = getDimensions(matrix.node());
+  matrix.attr('viewBox', `0 0 ${width} ${height}`);
+  const size = Math.min(
+    width - CRITERIA_MATRIX_MARGIN.left - CRITERIA_MATRIX_MARGIN.right,
+    height - CRITERIA_MATRIX_MARGIN.top - CRITERIA_MATRIX_MARGIN.bottom
+  );
+  criteriaMatrixScale.range([0, Math.max(0, size)]);
+  const codeFormat = (code) => code.toUpperCase();
+  matrix.select('.axis--top').call(d3.axisTop(criteriaMatrixScale).tickSize(0).tickFormat(codeFormat));
+  matrix.select('.axis--left').call(d3.axisLeft(criteriaMatrixScale).tickSize(0).tickFormat(codeFormat));
+}
+
+function layoutCriteriaTrends() {
+  const trends = d3.select('#criteriaTrends');
+  const { width, height } = getDimensions(trends.node());
+  trends.attr('viewBox', `0 0 ${width} ${height}`);
+  const rows = Math.ceil(criteriaOrder.length / CRITERIA_TREND_COLUMNS);
+  const panelWidth = width / CRITERIA_TREND_COLUMNS - 8;
+  const panelHeight = height / rows - 6;
+  criteriaTrendScales.x.range([0, panelWidth]);
+  criteriaTrendScales.y.range([panelHeight, 14]);
+  criteriaTrendPanels.attr('transform', (code, i) => {
+    const column = i % CRITERIA_TREND_COLUMNS;
+    const row = Math.floor(i / CRITERIA_TREND_COLUMNS);
+    return `translate(${column * (panelWidth + 8)}, ${row * (panelHeight + 6)})`;
+  });
+  criteriaTrendPanels.select('.panel-bg').attr('width', panelWidth).attr('height', panelHeight);
+  criteriaTrendPanels.select('.trend-brush').attr('height', panelHeight);
+  criteriaTrendPanels.select('.trend-year-rule').attr('y2', panelHeight);
+}
+
+// Criteria i–vi are the cultural criteria and vii–x the natural ones.
+function criterionColor(code) {
+  return categoryColor(criteriaOrder.indexOf(code) < 6 ? 'Cultural' : 'Natural');
+}
+
+function updateCriteriaView(data) {
+  updateCriteriaMatrix(data);
+  updateCriteriaTrends(data);
+}
+
+function criteriaCooccurrence(data) {
+  const counts = new Map();
+  data.forEach((site) => {
+    site.criteria.forEach((row) => {
+      site.criteria.forEach((col) => {
+        const key = `${row}|${col}`;
+        counts.set(key, (counts.get(key) ?? 0) + 1);
+      });
+    });
+  });
+  return criteriaOrder.flatMap((row) =>
+    criteriaOrder.map((col) => ({ row, col, count: counts.get(`${row}|${col}`) ?? 0 }))
+  );
+}
 
-  const arcGenerator = d3
-    .arc()
-    .startAngle((d) => d.x0)
-    .endAngle((d) => d.x1)
-    .padAngle(1 / radius)
-    .padRadius(radius / 3)
-    .innerRadius((d) => d.y0)
-    .outerRadius((d) => d.y1);
+function updateCriteriaMatrix(data) {
+  // A time brush narrows the matrix to sites inscribed in the brushed years.
+  const source = state.brushRange ? data.filter((site) => isInBrushRange(site.year)) : data;
+  const cells = criteriaCooccurrence(source);
+  const pairMax = d3.max(cells, (d) => (d.row === d.col ? 0 : d.count)) || 1;
+  const diagonalMax = d3.max(cells, (d) => (d.row === d.col ? d.count : 0)) || 1;
+  const pairColor = d3.scaleSequentialSqrt(d3.interpolateYlGnBu).domain([0, pairMax]);
+  const diagonalColor = d3.scaleSequentialSqrt(d3.interpolatePuRd).domain([0, diagonalMax]);
+  const band = criteriaMatrixScale.bandwidth();
 
-  const nodes = root.descendants().filter((d) => d.depth > 0);
-  const arcs = rootGroup
-    .selectAll('path')
-    .data(nodes, (d) => `${d.ancestors().map((n) => n.data.name).join('-')}`)
-    .join('path')
-    .attr('d', arcGenerator)
-    .attr('fill', (d) => {
-      if (d.depth === 3) return categoryColor(d.data.name) ?? '#38bdf8';
-      if (d.depth === 1) return regionColor(d.data.name) ?? '#475569';
-      if (d.depth === 2) {
-        const base = regionColor(d.ancestors()[1].data.name) ?? '#475569';
-        const colored = d3.color(base);
-        return colored ? colored.brighter(0.4) : '#94a3b8';
-      }
-      return '#475569';
+  criteriaCellSelection = d3
+    .select('#criteriaMatrix .criteria-cells')
+    .selectAll('g.criteria-cell')
+    .data(cells, (d) => `${d.row}|${d.col}`)
+    .join((enter) => {
+      const cell = enter.append('g').attr('class', 'criteria-cell');
+      cell.append('rect').attr('rx', 2);
+      cell.append('text').attr('dy', '0.35em');
+      return cell;
     })
-    .on('click', (event, d) => {
-      event.stopPropagation();
-      handleSunburstClick(d);
-    });
+    .attr('transform', (d) => `translate(${criteriaMatrixScale(d.col)}, ${criteriaMatrixScale(d.row)})`)
+    .classed('diagonal', (d) => d.row === d.col)
+    .classed('selected', (d) => isSelectedCriteriaCell(d))
+    .attr('role', 'button')
+    .attr('aria-label', (d) => t('criteria.cellAction', { label: criteriaCellLabel(d) }))
+    .on('mouseenter', (event, d) => showCriteriaTooltip(event, d))
+    .on('mousemove', (event) => moveTooltip(event))
+    .on('mouseleave', hideTooltip)
+    .on('click', (event, d) => selectCriteriaCell(d));
+  criteriaCellSelection
+    .select('rect')
+    .attr('width', band)
+    .attr('height', band)
+    .attr('fill', (d) => (d.count ? (d.row === d.col ? diagonalColor : pairColor)(d.count) : 'rgba(148, 163, 184, 0.08)'));
+  criteriaCellSelection
+    .select('text')
+    .attr('x', band / 2)
+    .attr('y', band / 2)
+    .text((d) => (band >= 18 && d.count ? d3.format('~s')(d.count) : ''))
+    .classed('dark', (d) => d.count > (d.row === d.col ? diagonalMax : pairMax) * 0.45);
+  setRovingTabindex(criteriaCellSelection.nodes(), (node) => {
+    const d = d3.select(node).datum();
+    return criteriaFocusKey ? `${d.row}|${d.col}` === criteriaFocusKey : isSelectedCriteriaCell(d);
+  });
 
-  arcs
-    .selectAll('title')
-    .data((d) => [d])
-    .join('title')
-    .text((d) => `${d.data.name}: ${d.value}`);
+  renderLegend(d3.select('#criteriaLegend'), [
+    { label: t('criteria.legendPairs', { max: pairMax }), stops: d3.range(0, 1.01, 0.1).map(d3.interpolateYlGnBu) },
+    { label: t('criteria.legendDiagonal', { max: diagonalMax }), stops: d3.range(0, 1.01, 0.1).map(d3.interpolatePuRd) }
+  ]);
+}
 
-  sunburstArcSelection = arcs;
-  sunburstArcSelection.classed('selected', (d) => matchesSunburstSelection(d));
+function criteriaCellLabel(cell) {
+  if (cell.row === cell.col) return t('criteria.cellSingle', { code: cell.row, count: cell.count });
+  return t('criteria.cellPair', { row: cell.row, col: cell.col, count: cell.count });
+}
+
+function showCriteriaTooltip(event, cell) {
+  const codes = cell.row === cell.col ? [cell.row] : [cell.row, cell.col];
+  const scope = state.brushRange ? ` ${t('criteria.scope', { from: state.brushRange[0], to: state.brushRange[1] })}` : '';
+  tooltip
+    .html(
+      `<h3>${criteriaCellLabel(cell)}${scope}</h3>
+      <ul>${codes.map((code) => `<li><strong>(${code})</strong> ${criteriaDefinitions[code]}</li>`).join('')}</ul>`
+    )
+    .attr('hidden', null);
+  moveTooltip(event);
+}
+
+function isSelectedCriteriaCell(cell) {
+  const codes = new Set([cell.row, cell.col]);
+  return (
+    state.standardMode === 'AND' &&
+    state.selectedStandards.size === codes.size &&
+    Array.from(codes).every((code) => state.selectedStandards.has(code))
+  );
+}
+
+function selectCriteriaCell(cell) {
+  // Clicking the active pair again clears it.
+  state.selectedStandards = isSelectedCriteriaCell(cell) ? new Set() : new Set([cell.row, cell.col]);
+  state.standardMode = 'AND';
+  criteriaFocusKey = `${cell.row}|${cell.col}`;
+  hideTooltip();
+  state.excludedStandards.delete(cell.row);
+  state.excludedStandards.delete(cell.col);
+  updateCriteriaModeButton();
+  syncFilterControls();
+  render();
 }
 
-function buildHierarchy(data) {
-  const nested = d3.rollup(
-    data.flatMap((site) => site.countries.map((country) => ({ ...site, country }))),
-    (sitesByCountry) =>
-      d3.rollup(
-        sitesByCountry,
-        (sitesByCategory) => sitesByCategory.length,
-        (site) => site.category
-      ),
-    (site) => site.region,
-    (site) => site.country
+function updateCriteriaTrends(data) {
+  const yearRange = d3.range(yearExtent[0], yearExtent[1] + 1);
+  const series = new Map(
+    criteriaOrder.map((code) => {
+      const counts = d3.rollup(
+        data.filter((site) => site.criteria.includes(code)),
+        (group) => group.length,
+        (site) => site.year
+      );
+      return [code, yearRange.map((year) => ({ year, count: counts.get(year) ?? 0 }))];
+    })
   );
+  const { x, y } = criteriaTrendScales;
+  x.domain(yearExtent);
+  y.domain([0, d3.max(Array.from(series.values()).flat(), (d) => d.count) || 1]);
+  const area = d3
+    .area()
+    .defined((d) => d.year <= state.year)
+    .x((d) => x(d.year))
+    .y0(y(0))
+    .y1((d) => y(d.count))
+    .curve(d3.curveMonotoneX);
 
-  return { name: 'World', children: rollupToChildren(nested) };
+  criteriaTrendPanels.select('.trend-area').attr('d', (code) => area(series.get(code)));
+  criteriaTrendPanels
+    .select('.trend-label')
+    .text((code) => `(${code}) ${t('count.sites', { count: d3.sum(series.get(code), (d) => d.count) })}`);
+  criteriaTrendPanels.select('title').text((code) => `(${code}) ${criteriaDefinitions[code]}`);
+  criteriaTrendPanels
+    .select('.trend-year-rule')
+    .attr('x1', x(state.year))
+    .attr('x2', x(state.year));
+  criteriaTrendPanels.classed('selected', (code) => state.selectedStandards.has(code));
 }
 
-function rollupToChildren(map) {
-  if (!(map instanceof Map)) {
-    return [];
-  }
-  return Array.from(map, ([key, value]) => {
-    if (value instanceof Map) {
-      return { name: key, children: rollupToChildren(value) };
+function dangerIntervals(site) {
+  const intervals = [];
+  let openYear = null;
+  d3.sort(site.dangerEvents, (evt) => evt.year).forEach((evt) => {
+    if (evt.type === 'Y' && openYear === null) {
+      openYear = evt.year;
+    } else if (evt.type === 'R' && openYear !== null) {
+      intervals.push({ start: openYear, end: evt.year, open: false });
+      openYear = null;
     }
-    return { name: key, value };
   });
+  if (openYear !== null) {
+    intervals.push({ start: openYear, end: Math.max(openYear, yearExtent[1]), open: true });
+  }
+  return intervals;
 }
 
-function handleSunburstClick(node) {
-  const ancestors = node.ancestors().reverse().slice(1);
-  const selection = {
-    region: ancestors[0]?.data.name,
-    country: ancestors[1]?.data.name,
-    category: ancestors[2]?.data.name
+function isInDanger(site, year = state.year) {
+  if (state.dangerStatusMode === 'current') return site.danger;
+  return wasInDanger(site, year);
+}
+
+// On the danger list during `year`. Shared by the summary and the cumulative timeline series so their counts agree.
+function wasInDanger(site, year) {
+  // Records without dated events can't be placed in time; trust the present-day flag for them.
+  if (!site.dangerEvents.length) return site.danger;
+  return dangerIntervals(site).some((interval) => interval.start <= year && (interval.open || interval.end > year));
+}
+
+function dangerStatusQualifier() {
+  return state.dangerStatusMode === 'current' ? t('danger.qualifierCurrent') : t('danger.qualifierYear', { year: state.year });
+}
+
+function initDangerLanes() {
+  const svg = d3.select('#dangerLanes');
+  dangerLaneScale = d3.scaleLinear().domain(yearExtent);
+  dangerLaneAxis = svg
+    .append('g')
+    .attr('class', 'axis axis--x')
+    .attr('transform', `translate(0, ${DANGER_LANE_MARGIN.top})`);
+  dangerBrushBand = svg.append('rect').attr('class', 'danger-brush-band').attr('y', DANGER_LANE_MARGIN.top);
+  dangerLaneGroup = svg.append('g').attr('class', 'danger-lanes');
+  dangerYearRule = svg.append('line').attr('class', 'danger-year-rule').attr('y1', DANGER_LANE_MARGIN.top);
+  svg
+    .append('text')
+    .attr('class', 'danger-empty')
+    .attr('y', DANGER_LANE_MARGIN.top + 40);
+  layoutDangerLanes();
+}
+
+// Only the width follows the page; the height grows with the number of lanes in updateDangerLanes.
+function layoutDangerLanes() {
+  const svg = d3.select('#dangerLanes');
+  const { width } = getDimensions(svg.node());
+  svg.node().__width = width;
+  dangerLaneScale.range([DANGER_LANE_MARGIN.left, width - DANGER_LANE_MARGIN.right]);
+  svg.select('.danger-empty').attr('x', width / 2);
+}
+
+function updateDangerLanes(data) {
+  const svg = d3.select('#dangerLanes');
+  const width = svg.node().__width;
+  const lanes = data
+    .map((site) => ({ site, intervals: dangerIntervals(site) }))
+    .filter((lane) => lane.intervals.length)
+    .map((lane) => ({ ...lane, totalYears: d3.sum(lane.intervals, (i) => i.end - i.start) }));
+  const byFirst = (a, b) => d3.ascending(a.intervals[0].start, b.intervals[0].start);
+  const comparators = {
+    first: byFirst,
+    duration: (a, b) => d3.descending(a.totalYears, b.totalYears) || byFirst(a, b),
+    region: (a, b) => d3.ascending(a.site.region, b.site.region) || byFirst(a, b)
   };
-  const same =
-    state.sunburstSelection &&
-    state.sunburstSelection.region === selection.region &&
-    state.sunburstSelection.country === selection.country &&
-    state.sunburstSelection.category === selection.category;
-  state.sunburstSelection = same ? null : selection;
-  const labelParts = [];
-  if (state.sunburstSelection?.region) labelParts.push(state.sunburstSelection.region);
-  if (state.sunburstSelection?.country) labelParts.push(state.sunburstSelection.country);
-  if (state.sunburstSelection?.category) labelParts.push(state.sunburstSelection.category);
-  breadcrumb.text(labelParts.length ? labelParts.join(' → ') : 'All Regions');
-  render();
+  lanes.sort(comparators[state.dangerSort]);
+
+  const height = DANGER_LANE_MARGIN.top + Math.max(lanes.length, 3) * DANGER_LANE_HEIGHT + DANGER_LANE_MARGIN.bottom;
+  svg.attr('viewBox', `0 0 ${width} ${height}`).style('height', `${height}px`);
+  svg.select('.danger-empty').style('display', lanes.length ? 'none' : null).text(t('danger.empty'));
+  dangerLaneScale.domain(yearExtent);
+  dangerLaneAxis.call(d3.axisTop(dangerLaneScale).ticks(8).tickFormat(d3.format('d')));
+  dangerBrushBand.attr('height', height - DANGER_LANE_MARGIN.top - DANGER_LANE_MARGIN.bottom);
+  dangerYearRule.attr('y2', height - DANGER_LANE_MARGIN.bottom);
+  updateDangerYearRule(state.year);
+
+  dangerLaneSelection = dangerLaneGroup
+    .selectAll('g.danger-lane')
+    .data(lanes, (d) => d.site.id)
+    .join((enter) => {
+      const lane = enter.append('g').attr('class', 'danger-lane');
+      lane.append('rect').attr('class', 'lane-bg');
+      lane.append('rect').attr('class', 'lane-region');
+      lane.append('text').attr('class', 'lane-label');
+      lane.append('g').attr('class', 'lane-bars');
+      return lane;
+    })
+    .attr('transform', (d, i) => `translate(0, ${DANGER_LANE_MARGIN.top + i * DANGER_LANE_HEIGHT})`)
+    .attr('role', 'button')
+    .attr('aria-label', (d) => t('danger.laneLabel', { name: d.site.name, intervals: describeIntervals(d.intervals) }))
+    .on('mouseenter', (event, d) => showTooltip(event, d.site))
+    .on('mousemove', (event) => moveTooltip(event))
+    .on('mouseleave', hideTooltip)
+    .on('click', (event, d) => {
+      hideTooltip();
+      focusSiteOnMap(d.site);
+    });
+
+  dangerLaneSelection
+    .select('.lane-bg')
+    .attr('x', 0)
+    .attr('width', width)
+    .attr('height', DANGER_LANE_HEIGHT);
+  dangerLaneSelection
+    .select('.lane-region')
+    .attr('x', 2)
+    .attr('y', 3)
+    .attr('width', 4)
+    .attr('height', DANGER_LANE_HEIGHT - 6)
+    .attr('fill', (d) => regionColor(d.site.region));
+  dangerLaneSelection
+    .select('.lane-label')
+    .attr('x', 10)
+    .attr('y', DANGER_LANE_HEIGHT / 2)
+    .attr('dy', '0.35em')
+    .text((d) => (d.site.name.length > 28 ? `${d.site.name.slice(0, 27)}…` : d.site.name));
+  dangerLaneSelection
+    .select('.lane-bars')
+    .selectAll('rect.lane-bar')
+    .data((d) => d.intervals)
+    .join('rect')
+    .attr('class', 'lane-bar')
+    .classed('open', (d) => d.open)
+    .classed('future', (d) => d.start > state.year)
+    .attr('x', (d) => dangerLaneScale(d.start))
+    .attr('width', (d) => Math.max(3, dangerLaneScale(d.end) - dangerLaneScale(d.start)))
+    .attr('y', 3)
+    .attr('height', DANGER_LANE_HEIGHT - 6)
+    .attr('rx', 2);
+  setRovingTabindex(dangerLaneSelection.nodes(), (node) => d3.select(node).datum().site.id === laneFocusId);
 }
 
-function matchesSunburstSelection(node) {
-  if (!state.sunburstSelection) return false;
-  const path = node.ancestors().reverse().slice(1);
-  if (state.sunburstSelection.category) {
-    return (
-      path[0]?.data.name === state.sunburstSelection.region &&
-      path[1]?.data.name === state.sunburstSelection.country &&
-      path[2]?.data.name === state.sunburstSelection.category
-    );
-  }
-  if (state.sunburstSelection.country) {
-    return (
-      path[0]?.data.name === state.sunburstSelection.region &&
-      path[1]?.data.name === state.sunburstSelection.country
-    );
-  }
-  return path[0]?.data.name === state.sunburstSelection.region;
+function updateDangerYearRule(year) {
+  dangerYearRule.attr('x1', dangerLaneScale(year)).attr('x2', dangerLaneScale(year));
+}
+
+function describeIntervals(intervals) {
+  return intervals
+    .map((interval) =>
+      interval.open ? t('danger.since', { start: interval.start }) : t('danger.between', { start: interval.start, end: interval.end })
+    )
+    .join(', ');
 }
 
-function getFilteredSites() {
+function getFilteredSites(filters = state) {
+  const searchMatches = filters.searchTerm ? searchScores(filters.searchTerm) : null;
   return sites.filter((site) => {
     if (site.year > state.year) return false;
-    if (state.dangerOnly && !site.danger) return false;
-    if (state.searchTerm) {
-      const haystack = `${site.name} ${site.statesText}`.toLowerCase();
-      if (!haystack.includes(state.searchTerm)) return false;
-    }
-    if (state.selectedStandards.size > 0) {
-      if (state.standardMode === 'OR') {
-        const hasAny = site.criteria.some((c) => state.selectedStandards.has(c));
+    if (filters.yearRange && (site.year < filters.yearRange[0] || site.year > filters.yearRange[1])) return false;
+    if (filters.regions.size && !filters.regions.has(site.region)) return false;
+    if (filters.categories.size && !filters.categories.has(site.category)) return false;
+    if (filters.transboundaryOnly && site.countries.length < 2) return false;
+    if (filters.dangerOnly && !isInDanger(site)) return false;
+    if (searchMatches && !searchMatches.has(site.id)) return false;
+    if (filters.selectedStandards.size > 0) {
+      if (filters.standardMode === 'OR') {
+        const hasAny = site.criteria.some((c) => filters.selectedStandards.has(c));
         if (!hasAny) return false;
       } else {
-        const hasAll = Array.from(state.selectedStandards).every((c) => site.criteria.includes(c));
+        const hasAll = Array.from(filters.selectedStandards).every((c) => site.criteria.includes(c));
         if (!hasAll) return false;
       }
     }
-    if (state.sunburstSelection) {
-      if (state.sunburstSelection.region && site.region !== state.sunburstSelection.region) return false;
-      if (state.sunburstSelection.country) {
-        const matchCountry = site.countries.includes(state.sunburstSelection.country);
-        if (!matchCountry) return false;
-      }
-      if (state.sunburstSelection.category && site.category !== state.sunburstSelection.category) return false;
+    if (site.criteria.some((c) => filters.excludedStandards.has(c))) return false;
+    if (filters.sunburstSelection) {
+      const matches = Object.entries(filters.sunburstSelection).every(([level, value]) =>
+        hierarchyLevels[level].values(site).includes(value)
+      );
+      if (!matches) return false;
     }
     return true;
   });
 }
 
 function render() {
-  currentFiltered = getFilteredSites();
+  updateFilterChips();
+  renderYear();
+}
+
+// Everything the year drives. Playback ticks call this directly, once per year, since the filter chips can't change mid-play.
+function renderYear() {
+  refreshFilteredSites();
   updateSummary(currentFiltered);
   updateMap(currentFiltered);
   updateTimeline(currentFiltered);
   updateSunburst(currentFiltered);
+  updateCriteriaView(currentFiltered);
+  updateDangerLanes(currentFiltered);
+  updateNetwork(currentFiltered);
+  updateSiteDetail(currentFiltered);
+  updateCountryProfile();
+  updatePinnedHighlight();
   updateBrushHighlight();
+  updateDataTables();
+  announceSummary();
+  syncUrlState();
+}
+
+function refreshFilteredSites() {
+  if (state.compareMode) {
+    const sets = compareFilterSets();
+    compareResults = { A: getFilteredSites(sets.A), B: getFilteredSites(sets.B) };
+    const idsA = new Set(compareResults.A.map((site) => site.id));
+    const idsB = new Set(compareResults.B.map((site) => site.id));
+    compareMembership = new Map();
+    compareResults.A.forEach((site) => compareMembership.set(site.id, idsB.has(site.id) ? 'both' : 'A'));
+    compareResults.B.forEach((site) => {
+      if (!idsA.has(site.id)) compareMembership.set(site.id, 'B');
+    });
+    currentFiltered = sites.filter((site) => compareMembership.has(site.id));
+  } else {
+    compareResults = null;
+    compareMembership = new Map();
+    currentFiltered = getFilteredSites();
+  }
+}
+
+function describeActiveFilters() {
+  const filters = [t('filters.upTo', { year: state.year })];
+  if (state.compareMode) {
+    const sets = compareFilterSets();
+    ['A', 'B'].forEach((set) => {
+      const parts = describeFilterSet(sets[set]);
+      filters.push(`${t('compare.set', { set })}: ${parts.length ? parts.join('; ') : t('filters.none')}`);
+    });
+  } else {
+    filters.push(...describeFilterSet(state));
+  }
+  if (state.brushRange) filters.push(t('filters.brushed', { from: state.brushRange[0], to: state.brushRange[1] }));
+  return filters;
+}
+
+function describeFilterSet(filterSet) {
+  return filterChips(filterSet).map((chip) => chip.label);
+}
+
+function filterChips(filterSet) {
+  const codeList = (codes) =>
+    criteriaOrder
+      .filter((code) => codes.has(code))
+      .map((code) => code.toUpperCase())
+      .join(', ');
+  const chips = [];
+  if (filterSet.selectedStandards.size) {
+    const key = filterSet.standardMode === 'OR' ? 'filters.criteriaAny' : 'filters.criteriaAll';
+    chips.push({ key: 'criteria', label: t(key, { codes: codeList(filterSet.selectedStandards) }) });
+  }
+  if (filterSet.excludedStandards.size) {
+    chips.push({ key: 'excluded', label: t('filters.excluded', { codes: codeList(filterSet.excludedStandards) }) });
+  }
+  if (filterSet.searchTerm) chips.push({ key: 'search', label: t('filters.search', { term: filterSet.searchTerm }) });
+  if (filterSet.yearRange) {
+    chips.push({ key: 'years', label: t('filters.years', { from: filterSet.yearRange[0], to: filterSet.yearRange[1] }) });
+  }
+  if (filterSet.regions.size) {
+    const labels = Array.from(filterSet.regions).sort().map(regionLabel);
+    chips.push({ key: 'regions', label: t('filters.regions', { regions: labels.join(', ') }) });
+  }
+  if (filterSet.categories.size) {
+    const labels = Array.from(filterSet.categories, (key) => categoryLabels[key] ?? key);
+    chips.push({ key: 'categories', label: t('filters.categories', { categories: labels.join(', ') }) });
+  }
+  if (filterSet.transboundaryOnly) chips.push({ key: 'transboundary', label: t('filters.transboundary') });
+  if (filterSet.dangerOnly) chips.push({ key: 'danger', label: t('filters.danger', { qualifier: dangerStatusQualifier() }) });
+  if (filterSet.sunburstSelection) {
+    const path = Object.entries(filterSet.sunburstSelection).map(([level, value]) => hierarchyLevels[level].format(value));
+    chips.push({ key: 'selection', label: t('filters.selection', { path: path.join(' → ') }) });
+  }
+  return chips;
+}
+
+function updateFilterChips() {
+  const chips = filterChips(state);
+  const bar = d3.select('#filterChips').attr('hidden', chips.length ? null : true);
+  bar.select('.chips-label').text(state.compareMode ? t('filters.setLabel', { set: state.activeSet }) : t('filters.label'));
+  const items = bar
+    .select('.chips-list')
+    .selectAll('span.chip')
+    .data(chips, (d) => d.key)
+    .join((enter) => {
+      const chip = enter.append('span').attr('class', 'chip');
+      chip.append('span').attr('class', 'chip-label');
+      chip.append('button').attr('type', 'button').text('×');
+      return chip;
+    });
+  items.select('.chip-label').text((d) => d.label);
+  items
+    .select('button')
+    .attr('data-clear', (d) => d.key)
+    .attr('aria-label', (d) => t('filters.remove', { label: d.label }));
+  bar.select('.chips-clear').attr('hidden', chips.length > 1 ? null : true);
+}
+
+function clearFilter(key) {
+  const defaults = {
+    criteria: { selectedStandards: new Set() },
+    excluded: { excludedStandards: new Set() },
+    search: { searchTerm: '' },
+    years: { yearRange: null },
+    regions: { regions: new Set() },
+    categories: { categories: new Set() },
+    transboundary: { transboundaryOnly: false },
+    danger: { dangerOnly: false },
+    selection: { sunburstSelection: null }
+  };
+  Object.assign(state, key === 'all' ? Object.assign({}, ...Object.values(defaults)) : defaults[key]);
+  syncControlsToState();
+  render();
+}
+
+function exportFilteredSites(format) {
+  const brushedOnly = d3.select('#exportBrushedOnly').property('checked') && state.brushRange;
+  const data = brushedOnly ? currentFiltered.filter((site) => isInBrushRange(site.year)) : currentFiltered;
+  const filters = describeActiveFilters();
+  if (brushedOnly) filters.push(t('export.brushedNote'));
+  const meta = {
+    title: t('export.title'),
+    generated: new Date().toISOString(),
+    count: data.length,
+    filters
+  };
+  const records = data.map(exportRecord);
+  const baseName = `whc-sites-${state.year}`;
+
+  if (format === 'csv') {
+    const header = [meta.title, t('export.generated', { date: meta.generated }), t('export.sites', { count: meta.count }), ...filters].map(
+      (line) => `# ${line}`
+    );
+    const columns = records.length ? Object.keys(records[0]) : [];
+    const rows = records.map((record) =>
+      columns
+        .map((column) => (Array.isArray(record[column]) ? record[column].join('; ') : record[column]))
+        .map(csvCell)
+        .join(',')
+    );
+    downloadFile([...header, columns.join(','), ...rows].join('\n'), `${baseName}.csv`, 'text/csv;charset=utf-8');
+  } else if (format === 'geojson') {
+    const collection = {
+      type: 'FeatureCollection',
+      metadata: meta,
+      features: data.map((site, i) => ({
+        type: 'Feature',
+        id: site.id,
+        geometry: { type: 'Point', coordinates: [site.lon, site.lat] },
+        properties: records[i]
+      }))
+    };
+    downloadFile(JSON.stringify(collection, null, 2), `${baseName}.geojson`, 'application/geo+json');
+  } else {
+    downloadFile(JSON.stringify({ meta, sites: records }, null, 2), `${baseName}.json`, 'application/json');
+  }
+}
+
+function exportRecord(site) {
+  return {
+    id: site.id,
+    id_no: site.idNo ?? '',
+    name: site.name,
+    countries: site.countries,
+    iso_codes: site.iso ?? '',
+    region: site.region,
+    year: site.year,
+    category: site.category,
+    criteria: site.criteria.map((code) => code.toUpperCase()),
+    lat: site.lat,
+    lon: site.lon,
+    in_danger: isInDanger(site),
+    in_danger_today: site.danger,
+    danger_events: site.dangerEvents.map((evt) => `${evt.type} ${evt.year}`),
+    ...(state.compareMode ? { compare_set: compareMembership.get(site.id) } : {})
+  };
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function downloadFile(content, filename, type) {
+  const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportView(viewId, format, scale = 1) {
+  const status = d3.select(`.view-export[data-view="${viewId}"] .export-status`).text('');
+  const { svg, width, height } = buildStandaloneSvg(viewId);
+  const markup = new XMLSerializer().serializeToString(svg.node());
+  const baseName = `whc-${viewId}-${state.year}`;
+  if (format === 'svg') {
+    downloadFile(markup, `${baseName}.svg`, 'image/svg+xml;charset=utf-8');
+    return;
+  }
+  rasterizeSvg(markup, width, height, scale)
+    .then((blob) => downloadFile(blob, `${baseName}@${scale}x.png`, 'image/png'))
+    .catch((error) => {
+      console.error('Failed to export PNG', error);
+      status.text(t('export.pngFailed', { message: error.message }));
+    });
+}
+
+function buildStandaloneSvg(viewId) {
+  const source = document.getElementById(viewId === 'map' && state.mapMode === 'multiples' ? 'mapMultiples' : viewId);
+  const [, , chartWidth, chartHeight] = source.getAttribute('viewBox').split(/[\s,]+/).map(Number);
+  const padding = 16;
+  const width = chartWidth + padding * 2;
+  const fontFamily = getComputedStyle(document.documentElement).fontFamily || 'system-ui, sans-serif';
+  const title = source.closest('.view').querySelector('.view-header h2').textContent;
+  const captionLines = wrapText(`${describeActiveFilters().join(' · ')}`, chartWidth, 6.2);
+  const legendItems = { map: mapLegendItems, timeline: timelineLegendItems, sunburst: sunburstLegendItems }[viewId]();
+
+  const svg = d3
+    .create('svg')
+    .attr('xmlns', 'http://www.w3.org/2000/svg')
+    .attr('font-family', fontFamily);
+  const defs = svg.append('defs');
+  const background = svg.append('rect').attr('width', width).attr('fill', '#0f172a');
+
+  let y = padding + 18;
+  svg
+    .append('text')
+    .attr('x', padding)
+    .attr('y', y)
+    .attr('fill', '#e2e8f0')
+    .attr('font-size', 18)
+    .attr('font-weight', 600)
+    .text(`${title} — ${state.year}`);
+  captionLines.forEach((line) => {
+    y += 16;
+    svg.append('text').attr('x', padding).attr('y', y).attr('fill', '#94a3b8').attr('font-size', 11).text(line);
+  });
+  y += 12;
+
+  const chart = source.cloneNode(true);
+  inlineComputedStyles(source, chart);
+  chart.removeAttribute('id');
+  chart.removeAttribute('style');
+  chart.setAttribute('x', padding);
+  chart.setAttribute('y', y);
+  chart.setAttribute('width', chartWidth);
+  chart.setAttribute('height', chartHeight);
+  svg.node().appendChild(chart);
+  y += chartHeight + 16;
+
+  y = drawSvgLegend(svg, defs, legendItems, { x: padding, y, width: chartWidth });
+  const height = y + padding;
+  svg.attr('width', width).attr('height', height).attr('viewBox', `0 0 ${width} ${height}`);
+  background.attr('height', height);
+  return { svg, width, height };
+}
+
+function drawSvgLegend(svg, defs, items, { x, y, width }) {
+  const legend = svg.append('g').attr('class', 'export-legend').attr('font-size', 11);
+  const rowHeight = 18;
+  let cursorX = x;
+  let cursorY = y;
+  items.forEach((item, i) => {
+    const swatchWidth = item.stops ? 60 : item.heading ? 0 : 12;
+    const itemWidth = swatchWidth + (swatchWidth ? 6 : 0) + item.label.length * 6.2 + 14;
+    if (cursorX + itemWidth > x + width && cursorX > x) {
+      cursorX = x;
+      cursorY += rowHeight;
+    }
+    const group = legend.append('g').attr('transform', `translate(${cursorX}, ${cursorY})`);
+    if (item.stops) {
+      const gradientId = `export-ramp-${i}`;
+      defs
+        .append('linearGradient')
+        .attr('id', gradientId)
+        .selectAll('stop')
+        .data(item.stops)
+        .join('stop')
+        .attr('offset', (d, j) => j / (item.stops.length - 1))
+        .attr('stop-color', (d) => d);
+      group.append('rect').attr('width', swatchWidth).attr('height', 12).attr('rx', 2).attr('fill', `url(#${gradientId})`);
+    } else if (!item.heading) {
+      group
+        .append('rect')
+        .attr('width', 12)
+        .attr('height', 12)
+        .attr('rx', 2)
+        .attr('fill', item.color)
+        .attr('stroke', item.stroke ?? 'none')
+        .attr('stroke-width', item.stroke ? 2 : 0);
+    }
+    group
+      .append('text')
+      .attr('x', swatchWidth ? swatchWidth + 6 : 0)
+      .attr('y', 10)
+      .attr('fill', item.heading ? '#e2e8f0' : '#94a3b8')
+      .attr('font-weight', item.heading ? 600 : 400)
+      .text(item.label);
+    cursorX += itemWidth;
+  });
+  return cursorY + rowHeight;
+}
+
+function inlineComputedStyles(source, target) {
+  const sourceNodes = [source, ...source.querySelectorAll('*')];
+  const targetNodes = [target, ...target.querySelectorAll('*')];
+  sourceNodes.forEach((node, i) => {
+    const computed = getComputedStyle(node);
+    const declarations = EXPORT_STYLE_PROPERTIES.map((property) => [property, computed.getPropertyValue(property)])
+      .filter(([, value]) => value)
+      .map(([property, value]) => `${property}:${value}`);
+    if (declarations.length) targetNodes[i].setAttribute('style', declarations.join(';'));
+  });
+}
+
+function wrapText(text, width, charWidth) {
+  const maxChars = Math.max(20, Math.floor(width / charWidth));
+  const lines = [];
+  let line = '';
+  text.split(' ').forEach((word) => {
+    if (line && line.length + word.length + 1 > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+}
+
+function rasterizeSvg(markup, width, height, scale) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const context = canvas.getContext('2d');
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error(t('export.encodeFailed')))), 'image/png');
+    };
+    image.onerror = () => reject(new Error(t('export.rasterizeFailed')));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+  });
 }
 
 function updateSummary(data) {
+  if (!state.compareMode) {
+    summaryCounts.html(`<div>${summaryLine(data)}</div>`);
+    return;
+  }
+  const { A, B } = compareResults;
+  const overlap = Array.from(compareMembership.values()).filter((set) => set === 'both').length;
+  const difference = A.length - B.length;
+  summaryCounts.html(`
+    <div class="compare-summary">
+      <div><span class="set-badge set-badge--A">A</span> ${summaryLine(A)}</div>
+      <div><span class="set-badge set-badge--B">B</span> ${summaryLine(B)}</div>
+      <div>${t('summary.difference', { difference: `${difference > 0 ? '+' : ''}${difference.toLocaleString(uiLocale)}`, overlap: overlap.toLocaleString(uiLocale) })}</div>
+    </div>
+  `);
+}
+
+function summaryLine(data) {
   const countries = new Set();
   data.forEach((site) => site.countries.forEach((c) => countries.add(c)));
-  const dangerCount = data.filter((site) => site.danger).length;
-  summaryCounts.html(
-    `<div>${data.length.toLocaleString()} sites | ${countries.size} countries | ${dangerCount} In Danger</div>`
-  );
+  const dangerCount = data.filter((site) => isInDanger(site)).length;
+  const shared = data.filter((site) => site.countries.length > 1).length;
+  const line = t('summary.line', {
+    sites: data.length.toLocaleString(uiLocale),
+    countries: countries.size.toLocaleString(uiLocale),
+    danger: dangerCount.toLocaleString(uiLocale),
+    qualifier: dangerStatusQualifier()
+  });
+  return shared ? `${line} | ${t('summary.transboundary', { count: shared.toLocaleString(uiLocale) })}` : line;
 }
 
 function updateLegends() {
-  const mapLegend = d3.select('#mapLegend');
-  const mapItems = categoryColor
-    .domain()
-    .map((key) => ({ label: categoryLabels[key] ?? key, color: categoryColor(key) }));
-  mapLegend
+  updateMapLegend();
+  renderLegend(d3.select('#timelineLegend'), timelineLegendItems());
+}
+
+function updateMapLegend() {
+  renderLegend(d3.select('#mapLegend'), mapLegendItems());
+}
+
+function renderLegend(container, items) {
+  container
     .selectAll('span')
-    .data([...mapItems, { label: 'In Danger', color: 'transparent', stroke: '#f97316' }])
+    .data(items)
     .join('span')
     .html((d) => {
+      if (d.heading) return `<strong>${d.label}</strong>`;
+      if (d.stops) return `<i class="legend-ramp" style="background:linear-gradient(to right, ${d.stops.join(', ')})"></i>${d.label}`;
       const style = d.stroke
-        ? `style="border: 2px solid ${d.stroke}; width:0.9rem; height:0.9rem; border-radius:0.2rem; background:transparent;"`
+        ? `style="border: 2px solid ${d.stroke}; width:0.9rem; height:0.9rem; border-radius:0.2rem; background:${d.color};"`
         : `style="background:${d.color}"`;
       return `<i ${style}></i>${d.label}`;
     });
+}
+
+function mapLegendItems() {
+  const metric = choroplethMetrics[state.choroplethMetric];
+  if (state.mapMode === 'choropleth' && metric.interpolator && choroplethScale) {
+    const [min, max] = choroplethScale.domain();
+    return [
+      { label: metric.label, heading: true },
+      { label: `${metric.format(min)} – ${metric.format(max)}`, stops: d3.range(0, 1.01, 0.1).map(metric.interpolator) },
+      { label: t('legend.noSites'), color: COUNTRY_BASE_FILL, stroke: 'rgba(148, 163, 184, 0.4)' }
+    ];
+  }
+  const colorScale = state.mapMode === 'choropleth' ? categoryColor : siteColorScale();
+  const items = colorScale.domain().map((key) => ({
+    label: colorScale === compareColor ? compareLabels[key] : categoryLabels[key] ?? key,
+    color: colorScale(key)
+  }));
+  if (state.mapMode === 'choropleth') {
+    items.unshift({ label: metric.label, heading: true });
+    items.push({ label: t('legend.noSites'), color: COUNTRY_BASE_FILL, stroke: 'rgba(148, 163, 184, 0.4)' });
+  } else {
+    items.push({
+      label: state.dangerStatusMode === 'current' ? t('legend.dangerCurrent') : t('legend.dangerHistorical'),
+      color: 'transparent',
+      stroke: '#f97316'
+    });
+    if (state.mapMode === 'points') items.push({ label: t('legend.transboundary'), color: 'transparent', stroke: '#e2e8f0' });
+  }
+  return items;
+}
 
-  const legend = d3.select('#timelineLegend');
+function timelineLegendItems() {
   const keys = state.viewMode === 'category' ? categoryColor.domain() : regionColor.domain();
   const colorScale = state.viewMode === 'category' ? categoryColor : regionColor;
   const items = keys.map((key) => ({
-    label: state.viewMode === 'category' ? categoryLabels[key] ?? key : key,
+    label: state.viewMode === 'category' ? categoryLabels[key] ?? key : regionLabel(key),
     color: colorScale(key)
   }));
-  if (state.showDangerEvents) {
-    items.push({ label: 'Added to danger list (Y)', color: dangerColors.Y });
-    items.push({ label: 'Removed from danger (R)', color: dangerColors.R });
+  if (state.compareMode) {
+    items.unshift({ label: t('legend.compareAxis'), heading: true });
   }
-  legend
-    .selectAll('span')
-    .data(items)
-    .join('span')
-    .html((d) => `<i style="background:${d.color}"></i>${d.label}`);
+  if (timelineMode() === 'normalized') items.unshift({ label: t('legend.normalized'), heading: true });
+  if (timelineMode() === 'stream') items.unshift({ label: t('legend.stream'), heading: true });
+  if (!showsDangerOverlay()) return items;
+  if (timelineMode() === 'cumulative') {
+    items.push({ label: t('legend.dangerListed'), color: dangerColors.listed });
+  } else {
+    items.push({ label: t('legend.dangerAdded'), color: dangerColors.Y });
+    items.push({ label: t('legend.dangerRemoved'), color: dangerColors.R });
+  }
+  return items;
+}
+
+function sunburstLegendItems() {
+  return state.sunburstLevels.flatMap((level, i) => {
+    const heading = { label: t('legend.ring', { ring: i + 1, level: hierarchyLevels[level].label.toLowerCase() }), heading: true };
+    if (level === 'region') {
+      const regions = Array.from(new Set(currentFiltered.map((site) => site.region))).sort();
+      return [heading, ...regions.map((region) => ({ label: regionLabel(region), color: regionColor(region) }))];
+    }
+    if (level === 'category') {
+      return [heading, ...categoryColor.domain().map((key) => ({ label: categoryLabels[key] ?? key, color: categoryColor(key) }))];
+    }
+    if (level === 'inDanger') {
+      return [heading, { label: t('danger.inDanger'), color: dangerColors.listed }, { label: t('danger.notInDanger'), color: '#64748b' }];
+    }
+    return [{ ...heading, label: `${heading.label} (${i ? t('legend.ringShade') : t('legend.ringColours')})` }];
+  });
+}
+
+function setupKeyboardNavigation() {
+  d3.select('#map')
+    .on('focusin', (event) => {
+      const node = event.target.closest('.site-point, .map-cluster');
+      if (!node) return;
+      const d = d3.select(node).datum();
+      mapFocusKey = mapMarkKey(d);
+      if (d.members) {
+        showClusterTooltip(anchorEvent(node), d);
+      } else {
+        showTooltip(anchorEvent(node), d);
+      }
+    })
+    .on('focusout', hideTooltip)
+    .on('keydown', handleMapKeydown);
+
+  d3.select('#timeline')
+    .on('focusin', (event) => {
+      const year = d3.select(event.target).datum();
+      if (!timelineYearLabels.has(year)) return;
+      tooltip.html(`<h3>${year}</h3><div>${timelineYearLabels.get(year).replace(/^\d+: /, '')}</div>`).attr('hidden', null);
+      moveTooltip(anchorEvent(event.target));
+    })
+    .on('focusout', hideTooltip)
+    .on('keydown', handleTimelineKeydown);
+
+  d3.select('#sunburst')
+    .on('focusin', (event) => {
+      const d = d3.select(event.target).datum();
+      if (!d?.ancestors || !event.target.matches('path')) return;
+      sunburstFocusKey = sunburstNodeKey(d);
+      const name = hierarchyLevels[d.data.level].format(d.data.name);
+      tooltip.html(`<h3>${escapeHtml(name)}</h3><div>${t('count.sites', { count: d.value.toLocaleString(uiLocale) })}</div>`).attr('hidden', null);
+      moveTooltip(anchorEvent(event.target));
+    })
+    .on('focusout', hideTooltip)
+    .on('keydown', handleSunburstKeydown);
+
+  d3.select('#criteriaMatrix')
+    .on('focusin', (event) => {
+      const node = event.target.closest('.criteria-cell');
+      if (!node) return;
+      const d = d3.select(node).datum();
+      criteriaFocusKey = `${d.row}|${d.col}`;
+      showCriteriaTooltip(anchorEvent(node), d);
+    })
+    .on('focusout', hideTooltip)
+    .on('keydown', handleCriteriaKeydown);
+
+  d3.select('#dangerLanes')
+    .on('focusin', (event) => {
+      const node = event.target.closest('.danger-lane');
+      if (!node) return;
+      const d = d3.select(node).datum();
+      laneFocusId = d.site.id;
+      showTooltip(anchorEvent(node), d.site);
+    })
+    .on('focusout', hideTooltip)
+    .on('keydown', handleLaneKeydown);
+
+  d3.select('#network')
+    .on('focusin', (event) => {
+      const node = event.target.closest('.network-group');
+      if (!node) return;
+      const d = d3.select(node).datum();
+      networkFocusCountry = d.country;
+      showNetworkGroupTooltip(anchorEvent(node), d);
+    })
+    .on('focusout', hideTooltip)
+    .on('keydown', handleNetworkKeydown);
+}
+
+function setRovingTabindex(nodes, isCurrent) {
+  const current = nodes.find(isCurrent) ?? nodes[0];
+  nodes.forEach((node) => node.setAttribute('tabindex', node === current ? 0 : -1));
+}
+
+function anchorEvent(node) {
+  const rect = node.getBoundingClientRect();
+  return { pageX: rect.left + rect.width / 2 + window.scrollX, pageY: rect.top + window.scrollY };
+}
+
+function activateNode(node) {
+  node.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+}
+
+function moveFocus(node, group) {
+  if (!node) return;
+  group.forEach((other) => other.setAttribute('tabindex', -1));
+  node.setAttribute('tabindex', 0);
+  node.focus();
+}
+
+function mapMarkKey(d) {
+  return d.members ? `cluster:${d.id}` : `site:${d.id}`;
+}
+
+function siteAriaLabel(site) {
+  const status = isInDanger(site) ? `, ${t('danger.inDanger')} ${dangerStatusQualifier()}` : '';
+  const category = categoryLabels[site.category] ?? site.category;
+  return `${t('site.ariaLabel', { name: site.name, states: site.statesText, year: site.year, category })}${status}`;
+}
+
+function handleMapKeydown(event) {
+  const current = event.target.closest('.site-point, .map-cluster');
+  if (!current) return;
+  if (event.key === 'Enter' || event.key === ' ') {
+    event.preventDefault();
+    activateNode(current);
+    return;
+  }
+  const vector = ARROW_VECTORS[event.key];
+  if (!vector) return;
+  event.preventDefault();
+  // Nearest neighbour in the pressed direction, penalising sideways drift so movement feels like a compass.
+  const position = (node) => {
+    const d = d3.select(node).datum();
+    return d.members ? [d.x, d.y] : [+node.getAttribute('cx'), +node.getAttribute('cy')];
+  };
+  const [x0, y0] = position(current);
+  const candidates = [...mapSiteSelection.nodes(), ...mapClusterSelection.nodes()].filter((node) => node !== current);
+  const next = d3.least(candidates, (node) => {
+    const [x, y] = position(node);
+    const along = (x - x0) * vector[0] + (y - y0) * vector[1];
+    const across = Math.abs((x - x0) * vector[1] - (y - y0) * vector[0]);
+    return along > 0 ? along + across * 2 : Infinity;
+  });
+  const [nx, ny] = next ? position(next) : [];
+  if (next && (nx - x0) * vector[0] + (ny - y0) * vector[1] > 0) {
+    moveFocus(next, candidates);
+  }
+}
+
+function handleTimelineKeydown(event) {
+  const year = d3.select(event.target).datum();
+  if (!timelineYearLabels.has(year)) return;
+  const targets = timelineYearTargets.selectAll('rect');
+  const find = (value) => targets.filter((d) => d === value).node();
+  if (event.key === 'Enter' || event.key === ' ') {
+    event.preventDefault();
+    setYear(year, { pausePlayback: true });
+    find(year)?.focus();
+  } else if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+    event.preventDefault();
+    moveFocus(find(year + (event.key === 'ArrowRight' ? 1 : -1)), targets.nodes());
+  } else if (event.key === 'Home' || event.key === 'End') {
+    event.preventDefault();
+    moveFocus(find(event.key === 'Home' ? yearExtent[0] : yearExtent[1]), targets.nodes());
+  }
+}
+
+function handleSunburstKeydown(event) {
+  const d = d3.select(event.target).datum();
+  if (!d?.ancestors) return;
+  const nodeFor = (target) => sunburstArcSelection.filter((n) => n === target).node();
+  let target;
+  if (event.key === 'Enter' || event.key === ' ') {
+    event.preventDefault();
+    activateNode(event.target);
+    return;
+  }
+  if (!event.target.matches('path')) return;
+  const siblings = d.parent.children;
+  const index = siblings.indexOf(d);
+  if (event.key === 'ArrowRight') target = siblings[(index + 1) % siblings.length];
+  if (event.key === 'ArrowLeft') target = siblings[(index - 1 + siblings.length) % siblings.length];
+  if (event.key === 'ArrowUp' && d.depth > 1) target = d.parent;
+  if (event.key === 'ArrowDown' && d.children) target = d.children[0];
+  if (!ARROW_VECTORS[event.key]) return;
+  event.preventDefault();
+  const node = target && nodeFor(target);
+  // Arcs outside the zoomed rings stay in the DOM but are hidden, so don't land on them.
+  if (node && node.getAttribute('aria-hidden') !== 'true') moveFocus(node, sunburstArcSelection.nodes());
+}
+
+function handleCriteriaKeydown(event) {
+  const current = event.target.closest('.criteria-cell');
+  if (!current) return;
+  if (event.key === 'Enter' || event.key === ' ') {
+    event.preventDefault();
+    activateNode(current);
+    return;
+  }
+  const vector = ARROW_VECTORS[event.key];
+  if (!vector) return;
+  event.preventDefault();
+  const { row, col } = d3.select(current).datum();
+  const nextRow = criteriaOrder[criteriaOrder.indexOf(row) + vector[1]];
+  const nextCol = criteriaOrder[criteriaOrder.indexOf(col) + vector[0]];
+  const next = criteriaCellSelection.filter((d) => d.row === nextRow && d.col === nextCol).node();
+  if (next) moveFocus(next, criteriaCellSelection.nodes());
+}
+
+function handleLaneKeydown(event) {
+  const current = event.target.closest('.danger-lane');
+  if (!current) return;
+  if (event.key === 'Enter' || event.key === ' ') {
+    event.preventDefault();
+    activateNode(current);
+    return;
+  }
+  if (event.key !== 'ArrowUp' && event.key !== 'ArrowDown') return;
+  event.preventDefault();
+  const lanes = dangerLaneSelection.nodes();
+  const index = lanes.indexOf(current) + (event.key === 'ArrowDown' ? 1 : -1);
+  if (lanes[index]) moveFocus(lanes[index], lanes);
+}
+
+function handleNetworkKeydown(event) {
+  const current = event.target.closest('.network-group');
+  if (!current) return;
+  if (event.key === 'Enter' || event.key === ' ') {
+    event.preventDefault();
+    activateNode(current);
+    return;
+  }
+  const step = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }[event.key];
+  if (!step) return;
+  event.preventDefault();
+  const groups = networkGroupSelection.nodes();
+  moveFocus(groups[(groups.indexOf(current) + step + groups.length) % groups.length], groups);
+}
+
+function handleShortcutKey(event) {
+  if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+  // Leave keys alone wherever the focused element already uses them.
+  if (event.target.closest?.('input, select, textarea, button, a, summary, [tabindex], [contenteditable]')) return;
+  const key = event.key.toLowerCase();
+  if (key === ' ' || key === 'k') {
+    event.preventDefault();
+    togglePlay();
+  } else if (key === 'j' || key === 'arrowleft') {
+    event.preventDefault();
+    stepYear(-1);
+  } else if (key === 'l' || key === 'arrowright') {
+    event.preventDefault();
+    stepYear(1);
+  } else if (story && (key === 'n' || key === 'pagedown')) {
+    event.preventDefault();
+    showStoryStep(storyIndex + 1);
+  } else if (story && (key === 'p' || key === 'pageup')) {
+    event.preventDefault();
+    showStoryStep(storyIndex - 1);
+  }
+}
+
+function announceSummary() {
+  clearTimeout(announceTimer);
+  // Debounced so playback and slider drags produce one announcement once things settle.
+  announceTimer = setTimeout(() => {
+    const text = `${t('announce.year', { year: state.year })} ${summaryCounts.text().replace(/\s+/g, ' ').trim()}`;
+    if (text === lastAnnouncement) return;
+    lastAnnouncement = text;
+    d3.select('#liveAnnouncer').text(text);
+  }, ANNOUNCE_DELAY_MS);
+}
+
+function updateDataTables() {
+  d3.selectAll('details.view-table').each(function () {
+    if (this.open) renderViewTable(this);
+  });
+}
+
+function renderViewTable(details) {
+  const { columns, rows, caption } = viewTableData(details.dataset.table);
+  const table = d3
+    .select(details)
+    .select('.table-scroll')
+    .selectAll('table')
+    .data([null])
+    .join((enter) => {
+      const created = enter.append('table').attr('class', 'data-table');
+      created.append('caption');
+      created.append('thead').append('tr');
+      created.append('tbody');
+      return created;
+    });
+  table.select('caption').text(caption);
+  table
+    .select('thead tr')
+    .selectAll('th')
+    .data(columns)
+    .join('th')
+    .attr('scope', 'col')
+    .text((d) => d);
+  table
+    .select('tbody')
+    .selectAll('tr')
+    .data(rows)
+    .join('tr')
+    .selectAll('td')
+    .data((d) => d)
+    .join('td')
+    .text((d) => d);
+}
+
+function viewTableData(view) {
+  if (view === 'timeline') {
+    const sets = state.compareMode ? [['A', compareResults.A], ['B', compareResults.B]] : [['', currentFiltered]];
+    const stacks = sets.map(([set, data]) => [set, timelineRecords(data)]);
+    const { keys, yearRecords } = stacks[0][1];
+    const label = (key) => (state.viewMode === 'category' ? categoryLabels[key] ?? key : regionLabel(key));
+    const columns = [t('table.year')];
+    stacks.forEach(([set]) => {
+      const prefix = set ? `${t('compare.set', { set })} · ` : '';
+      columns.push(...keys.map((key) => `${prefix}${label(key)}`), `${prefix}${t('table.total')}`);
+    });
+    const rows = yearRecords
+      .map((record, i) => [record.year, ...stacks.flatMap(([, stack]) => [...keys.map((key) => stack.yearRecords[i][key]), stack.yearRecords[i].total])])
+      .filter((row) => row.slice(1).some((value) => value > 0));
+    const captionKey = timelineMode() === 'cumulative' ? 'table.timelineCumulative' : 'table.timeline';
+    const grouping = state.viewMode === 'category' ? hierarchyLevels.category.label : hierarchyLevels.region.label;
+    return { columns, rows, caption: t(captionKey, { grouping: grouping.toLowerCase() }) };
+  }
+  if (view === 'sunburst') {
+    const rows = d3
+      .hierarchy(buildHierarchy(currentFiltered))
+      .leaves()
+      .map((leaf) => [
+        ...leaf
+          .ancestors()
+          .reverse()
+          .slice(1)
+          .map((n) => hierarchyLevels[n.data.level].format(n.data.name)),
+        leaf.data.value
+      ]);
+    const labels = state.sunburstLevels.map((level) => hierarchyLevels[level].label);
+    return {
+      columns: [...labels, t('table.sites')],
+      rows,
+      caption: t('table.sunburst', { levels: labels.join(', ').toLowerCase() })
+    };
+  }
+  if (view === 'criteria') {
+    const source = state.brushRange ? currentFiltered.filter((site) => isInBrushRange(site.year)) : currentFiltered;
+    const counts = d3.group(criteriaCooccurrence(source), (d) => d.row);
+    return {
+      columns: [hierarchyLevels.criterion.label, ...criteriaOrder.map((code) => `(${code})`)],
+      rows: criteriaOrder.map((row) => [`(${row})`, ...counts.get(row).map((d) => d.count)]),
+      caption: state.brushRange
+        ? `${t('table.criteria')}, ${t('criteria.scope', { from: state.brushRange[0], to: state.brushRange[1] })}`
+        : t('table.criteria')
+    };
+  }
+  if (view === 'danger') {
+    const rows = currentFiltered
+      .map((site) => ({ site, intervals: dangerIntervals(site) }))
+      .filter((lane) => lane.intervals.length)
+      .map(({ site, intervals }) => [
+        site.name,
+        regionLabel(site.region),
+        describeIntervals(intervals),
+        d3.sum(intervals, (i) => i.end - i.start)
+      ]);
+    const columns = [t('table.site'), t('site.region'), t('table.listings'), t('table.yearsInDanger')];
+    return { columns, rows, caption: t('table.danger') };
+  }
+  if (view === 'network') {
+    const rows = d3
+      .sort(transboundaryLinks(currentFiltered), (link) => -link.sites.length)
+      .map((link) => [link.source, link.target, link.sites.length, link.sites.map((site) => site.name).join('; ')]);
+    const columns = [t('table.countryA'), t('table.countryB'), t('table.sites'), t('table.siteNames')];
+    return { columns, rows, caption: t('table.network') };
+  }
+  const columns = [t('table.site'), t('site.statesParties'), t('table.year'), hierarchyLevels.category.label, `${t('danger.inDanger')} ${dangerStatusQualifier()}`];
+  if (state.compareMode) columns.push(t('table.set'));
+  const rows = d3
+    .sort(currentFiltered, (site) => site.name)
+    .map((site) => {
+      const inDanger = isInDanger(site) ? t('table.yes') : t('table.no');
+      const row = [site.name, site.statesText, site.year, categoryLabels[site.category] ?? site.category, inDanger];
+      if (state.compareMode) row.push(colorKeyLabel(compareMembership.get(site.id)));
+      return row;
+    });
+  return { columns, rows, caption: t('table.map') };
 }
 
 function updateBrushHighlight() {
   if (mapSiteSelection) {
     mapSiteSelection.classed('brushed', (d) => isInBrushRange(d.year));
   }
+  if (mapMultiplesSelection) {
+    mapMultiplesSelection.classed('brushed', (d) => isInBrushRange(d.year));
+  }
+  if (mapClusterSelection) {
+    mapClusterSelection.classed('brushed', (d) => d.members.some((site) => isInBrushRange(site.year)));
+  }
   if (timelineBarSelection) {
     timelineBarSelection.classed('brushed', (d) => isInBrushRange(d.year));
   }
+  if (criteriaTrendPanels) {
+    const { x } = criteriaTrendScales;
+    criteriaTrendPanels
+      .select('.trend-brush')
+      .style('display', state.brushRange ? null : 'none')
+      .attr('x', state.brushRange ? x(state.brushRange[0]) : 0)
+      .attr('width', state.brushRange ? x(state.brushRange[1]) - x(state.brushRange[0]) : 0);
+  }
+  if (dangerLaneSelection) {
+    dangerLaneSelection.classed('brushed', (d) =>
+      d.intervals.some((interval) => intervalOverlapsBrush(interval))
+    );
+    dangerLaneSelection
+      .selectAll('rect.lane-bar')
+      .classed('brushed', (interval) => intervalOverlapsBrush(interval));
+    dangerBrushBand
+      .style('display', state.brushRange ? null : 'none')
+      .attr('x', state.brushRange ? dangerLaneScale(state.brushRange[0]) : 0)
+      .attr('width', state.brushRange ? dangerLaneScale(state.brushRange[1]) - dangerLaneScale(state.brushRange[0]) : 0);
+  }
+}
+
+function intervalOverlapsBrush(interval) {
+  if (!state.brushRange) return false;
+  return interval.start <= state.brushRange[1] && interval.end >= state.brushRange[0];
 }
 
 function isInBrushRange(year) {